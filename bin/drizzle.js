@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+var cli = require('../dist/cli');
+
+cli(process.argv.slice(2)).catch(function (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+/**
+ * Programmatic API: run the build's stages separately, and render single
+ * resources to strings without writing anything.
+ * @module api
+ */
+import Promise from 'bluebird';
+import { parseStage, prepareStages, renderStages } from './pipeline';
+import renderPageResource from './render/page';
+import renderCollection from './render/collection';
+import renderPatternPartial from './render/partial';
+import { runResourceHook } from './utils/plugins';
+import { deepPattern } from './utils/object';
+import { isCollection } from './utils/shared';
+import DrizzleError from './utils/error';
+
+/**
+ * Find a page or collection in the tree by ID. The resource-type prefix
+ * (e.g. `pages.`) can be left out.
+ *
+ * @param {Object} drizzleData
+ * @param {String} id
+ * @return {Object|undefined}
+ */
+function findResource (drizzleData, id) {
+  const keys = drizzleData.options.keys;
+  const ids = [id, `${keys.pages.plural}.${id}`,
+    `${keys.collections.plural}.${id}`];
+  return drizzleData.tree.pages.concat(drizzleData.tree.collections)
+    .find(resource => ids.indexOf(resource.id) !== -1);
+}
+
+/**
+ * Init and prepare: merge options with defaults and set up templating
+ * (helpers, partials) once, for reuse by `parse` and the render functions.
+ *
+ * @param {Object} options   User options
+ * @return {Promise} resolving to prepared options
+ */
+function prepare (options) {
+  return prepareStages(options);
+}
+
+/**
+ * Parse source files into drizzleData.
+ *
+ * @param {Object} preparedOptions   @see prepare
+ * @return {Promise} resolving to parsed drizzleData
+ */
+function parse (preparedOptions) {
+  return parseStage(preparedOptions);
+}
+
+/**
+ * Render every page, collection and (with `layouts.pattern`) pattern
+ * preview page. Rendered output is set on the resources' `contents` (or
+ * `preview`); nothing is written.
+ *
+ * @param {Object} drizzleData   Parsed drizzleData @see parse
+ * @return {Promise} resolving to rendered drizzleData
+ */
+function render (drizzleData) {
+  return renderStages(drizzleData);
+}
+
+/**
+ * Render a single page or collection page to HTML. drizzleData is not
+ * changed, so this can be called repeatedly with the same parsed data.
+ * The `afterRenderResource` plugin hook is run on the result.
+ *
+ * @param {Object} drizzleData   Parsed (not yet rendered) drizzleData
+ * @param {String} id            Resource ID, e.g. `pages.follow-me.down` or
+ *                               `follow-me.down`
+ * @return {Promise} resolving to {String} HTML
+ */
+function renderPage (drizzleData, id) {
+  return Promise.try(() => {
+    const found = findResource(drizzleData, id);
+    if (!found) {
+      throw new DrizzleError(`No page or collection with ID '${id}'`,
+        DrizzleError.LEVELS.ERROR);
+    }
+    const resource = Object.assign({}, found);
+    if (isCollection(resource)) {
+      renderCollection(resource, drizzleData);
+    } else {
+      renderPageResource(resource, drizzleData);
+    }
+    return runResourceHook('afterRenderResource', resource, drizzleData);
+  }).then(rendered => rendered.contents,
+    error => DrizzleError.error(error, drizzleData.options.debug,
+      { stage: 'render', id: id }));
+}
+
+/**
+ * Render a single pattern (its partial, with its local context) to HTML.
+ * drizzleData is not changed.
+ *
+ * @param {Object} drizzleData        Parsed drizzleData
+ * @param {String} id                 Pattern ID, e.g.
+ *                                    `patterns.components.button.base`
+ * @param {Object} contextOverrides   Properties to set on (or replace in)
+ *                                    the pattern's context, e.g. data
+ * @return {Promise} resolving to {String} HTML
+ */
+function renderPattern (drizzleData, id, contextOverrides = {}) {
+  return Promise.try(() => {
+    try {
+      deepPattern(id, drizzleData.patterns);
+    } catch (e) {
+      throw new DrizzleError(`No pattern with ID '${id}'`,
+        DrizzleError.LEVELS.ERROR);
+    }
+    return renderPatternPartial(id, drizzleData, contextOverrides);
+  }).catch(error => DrizzleError.error(error, drizzleData.options.debug,
+    { stage: 'render', id: id }));
+}
+
+export { parse, prepare, render, renderPage, renderPattern };
@@ -0,0 +1,151 @@
+/**
+ * Command-line interface.
+ * @module cli
+ */
+import minimist from 'minimist';
+import defaults from './defaults';
+import drizzle from './index';
+import { parseStages } from './pipeline';
+import DrizzleError from './utils/error';
+
+const usage = `Usage: drizzle [command] [options]
+
+Commands:
+  build     Build the drizzle (default)
+  watch     Build, then rebuild as source files change
+  serve     Build, watch and serve the output with live reload
+  inspect   Print the parsed resource tree and resolved options
+
+Options map onto drizzle options, using dots for nesting, e.g.:
+  --dest.root ./dist
+  --src.patterns.glob 'src/patterns/**/*.hbs'
+  --serve.port 8080 --no-serve.livereload
+  --config ./drizzle.config.js
+  --no-config   Don't look for a config file
+  --dry-run     Report what \`build\` would write, without writing
+`;
+
+/**
+ * Options that are paths (or globs), so are never read as numbers, e.g.
+ * `--dest.root 123`.
+ */
+const pathOptions = ['config', 'helpers']
+  .concat(Object.keys(defaults.dest).map(destKey => `dest.${destKey}`))
+  .concat(...Object.keys(defaults.src).map(srcKey => [
+    `src.${srcKey}.glob`,
+    `src.${srcKey}.basedir`
+  ]));
+
+/**
+ * Turn command-line arguments into a command and drizzle options.
+ * `--no-config` (or `--config false`) means no config file is used.
+ *
+ * @param {Array} argv  Arguments, without node and script paths
+ * @return {Object} with `command`, `help` and `options` properties
+ */
+function parseArgs (argv) {
+  const args = minimist(argv, {
+    boolean: ['help'],
+    string: pathOptions,
+    alias: { h: 'help', 'dry-run': 'dryRun' }
+  });
+  const options = Object.assign({}, args);
+  ['_', 'help', 'h', 'dry-run'].forEach(key => delete options[key]);
+  if (options.config === 'false') {
+    options.config = false;
+  }
+  return {
+    command: args._[0] || 'build',
+    help: args.help,
+    options: options
+  };
+}
+
+/**
+ * `JSON.stringify` replacer for printing options: the Handlebars instance
+ * is noise (and circular).
+ */
+function inspectReplacer (key, value) {
+  if (key === 'handlebars') {
+    return undefined;
+  }
+  if (typeof value === 'function') {
+    return `[Function${value.name ? ': ' + value.name : ''}]`;
+  }
+  return value;
+}
+
+const commands = {
+  build: (options, log) => drizzle(options).then(drizzleData => {
+    if (drizzleData.options.dryRun) {
+      drizzleData.operations.forEach(op =>
+        log(`${op.action} ${op.path} (${op.bytes} bytes)`));
+      log('Dry run: nothing was written');
+      return drizzleData;
+    }
+    log(`Built ${drizzleData.tree.pages.length} page(s) and ` +
+      `${drizzleData.tree.collections.length} collection(s)`);
+    if (drizzleData.errors && drizzleData.errors.length) {
+      log(`${drizzleData.errors.length} resource(s) failed to render: ` +
+        drizzleData.errors.map(error => error.context.id).join(', '));
+      process.exitCode = 1;
+    }
+    return drizzleData;
+  }),
+  inspect: (options, log) => parseStages(options).then(drizzleData => {
+    log(JSON.stringify({
+      tree: drizzleData.tree,
+      options: drizzleData.options
+    }, inspectReplacer, 2));
+    return drizzleData;
+  }),
+  serve: (options, log) => new Promise((resolve, reject) => {
+    const server = drizzle.serve(options);
+    server.once('error', reject);
+    server.once('listening', url => {
+      server.removeListener('error', reject);
+      server.on('error', error => log(error.message));
+      server.on('rebuild', result =>
+        log(`Rebuilt ${result.resources.join(', ') || 'nothing'}`));
+      log(`Serving at ${url}`);
+      resolve(server);
+    });
+  }),
+  watch: (options, log) => new Promise((resolve, reject) => {
+    const watcher = drizzle.watch(options);
+    watcher.once('error', reject);
+    watcher.once('ready', () => {
+      watcher.removeListener('error', reject);
+      watcher.on('error', error => log(error.message));
+      watcher.on('rebuild', result =>
+        log(`Rebuilt ${result.resources.join(', ') || 'nothing'}`));
+      log('Watching for changes...');
+      resolve(watcher);
+    });
+  })
+};
+
+/**
+ * Run a drizzle command from command-line arguments.
+ *
+ * @param {Array} argv          Arguments, without node and script paths
+ * @param {Function} log        Output function
+ * @return {Promise} resolving to the command's result: drizzleData for
+ *                   `build` and `inspect`, the watcher/server for `watch`
+ *                   and `serve`
+ */
+function cli (argv, log = console.log) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    log(usage);
+    return Promise.resolve();
+  }
+  if (!commands.hasOwnProperty(args.command)) {
+    return Promise.reject(new DrizzleError(
+      `Unknown command '${args.command}'\n\n${usage}`,
+      DrizzleError.LEVELS.FATAL));
+  }
+  return commands[args.command](args.options, log);
+}
+
+export default cli;
@@ -13,22 +13,39 @@ const defaults = {
       h1 h2 h3 h4 h5 h6 i img ins kbd mark pre q s samp small span
       strike strong sub sup tt u var`.split(' ')
   },
+  cache: false,
+  clean: false,
+  concurrency: 64,
   debug: {
-    logFn: console.log
+    format: 'pretty',
+    level: 'NOTICE',
+    logFn: console.log,
+    profile: false
   },
+  dryRun: false,
   dest          : {
     root: './dist',
     collections: './dist/patterns',
     pages   : './dist/pages',
-    patterns: './dist/patterns'
+    patterns: './dist/patterns',
+    previews: './dist/previews'
   },
+  engines       : {},
+  failureMode   : 'stop',
   fieldParsers  : { },
   helpers       : {},
   layouts: {
     page      : 'default',
     collection: 'collection'
   },
+  manifest      : false,
   parsers       : parsers,
+  plugins       : [],
+  serve: {
+    host: 'localhost',
+    livereload: true,
+    port: 3000
+  },
   src: {
     data    : {
       basedir: 'src/data',
@@ -46,7 +63,8 @@ const defaults = {
       basedir: 'src/templates',
       glob: 'src/templates/**/*'
     }
-  }
+  },
+  workers: false
 };
 
 /*
@@ -0,0 +1,61 @@
+/**
+ * Handlebars template engine adapter—the default engine.
+ * @module engines/handlebars
+ */
+
+/**
+ * Options for Handlebars.compile()
+ */
+const compileOptions = {
+  preventIndent: true
+};
+
+/**
+ * Wrap `contents` with an `extend` helper so that it extends `layout`
+ * (using handlebars-layouts). The layout needs to contain a `#block` with the
+ * id of `main`.
+ *
+ * If `contents` already contains an `{{#extend}}` helper invocation keyed to
+ * its layout (e.g. `{{#extend 'foo'}}` if the layout is `foo`), it will not
+ * double-wrap it. This is to prevent errors if a designer/developer creates
+ * a page file with the `{{#extend}}` already in it.
+ *
+ * @param {String} contents
+ * @param {String} layout     Partial key of the layout
+ * @return {String} wrapped contents
+ */
+function wrapWithLayout (contents, layout) {
+  // TODO Add test to see if _any_ extends is extant. Multiple extends
+  // for ANY reason will cause handlebars-layouts to asplode.
+  const alreadyWrapped = new RegExp(
+    `{{\\s*#extend\\s*[\'\"]${layout}[\'\"].*}}`)
+    .test(contents);
+  return (alreadyWrapped) ? contents : `  {{#extend '${layout}' }}
+    {{#content 'main'}}${contents}{{/content}}
+  {{/extend}}`;
+}
+
+/**
+ * Create a Handlebars engine adapter. The Handlebars instance is looked up on
+ * `options.handlebars` each time it is needed, so it can be replaced.
+ *
+ * @param {Object} options   Drizzle options, with `handlebars`
+ * @return {Object} engine adapter
+ */
+function handlebarsEngine (options) {
+  const hbs = () => options.handlebars;
+  return {
+    name: 'handlebars',
+    compileOptions: compileOptions,
+    compile: template => hbs().compile(template, compileOptions),
+    hasPartial: key => hbs().partials.hasOwnProperty(key),
+    partial: key => hbs().partials[key],
+    registerPartial: (key, template) => hbs().registerPartial(key, template),
+    unregisterPartial: key => hbs().unregisterPartial(key),
+    registerHelper: (name, fn) => hbs().registerHelper(name, fn),
+    unregisterHelper: name => hbs().unregisterHelper(name),
+    wrapWithLayout: wrapWithLayout
+  };
+}
+
+export default handlebarsEngine;
@@ -2,7 +2,7 @@ import R from 'ramda';
 import {relative as relativePath} from 'path';
 import {splitPath} from '../utils/object';
 import {sortByProp} from '../utils/list';
-import {resourcePath, isType} from '../utils/shared';
+import {resourceDest, resourcePath, isType} from '../utils/shared';
 
 const isDir = isType(undefined);
 
@@ -48,7 +48,7 @@ function destRoot (type, drizzle) {
 
   return relativePath(
     options.dest.root,
-    options.dest[keys.get(type)]
+    resourceDest(keys.get(type), options)
   );
 }
 
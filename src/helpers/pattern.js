@@ -1,29 +1,6 @@
 import {html as beautify} from 'js-beautify';
 import DrizzleError from '../utils/error';
-import { deepPattern } from '../utils/object';
-import { patternContext } from '../utils/context';
-
-/**
- * Retrieve correct pattern object data, find the right partial and
- * compile with correct local context.
- * TODO: How do we test this?
- */
-function renderPatternPartial (patternId, drizzleData, Handlebars) {
-  const patternObj = deepPattern(patternId, drizzleData.patterns);
-  const localContext = patternContext(patternObj, drizzleData);
-  let template = Handlebars.partials[patternId];
-  if (typeof template !== 'undefined') {
-    if (typeof template !== 'function') {
-      template = Handlebars.compile(template);
-    }
-    // Render and return
-    return template(localContext);
-  } else {
-    DrizzleError.error(new DrizzleError(
-      `Partial for pattern ${patternId} not found`, DrizzleError.LEVELS.ERROR),
-      drizzleData.options.debug);
-  }
-}
+import renderPatternPartial from '../render/partial';
 
 /**
  * Register some drizzle-specific pattern helpers
@@ -39,8 +16,7 @@ function registerPatternHelpers (options) {
    * and they can get their correct local context.
    */
   Handlebars.registerHelper('pattern', (id, rootContext, opts) => {
-    const renderedTemplate = renderPatternPartial(
-      id, rootContext.drizzle, Handlebars);
+    const renderedTemplate = renderPatternPartial(id, rootContext.drizzle);
     return renderedTemplate;
   });
 
@@ -54,11 +30,7 @@ function registerPatternHelpers (options) {
    * Can be used for rendering source in `<pre>` tags.
    */
   Handlebars.registerHelper('patternSource', (id, rootContext, opts) => {
-    const renderedTemplate = renderPatternPartial(
-      id,
-      rootContext.drizzle,
-      Handlebars
-    );
+    const renderedTemplate = renderPatternPartial(id, rootContext.drizzle);
     const sourceMarkup = beautify(renderedTemplate, options.beautifier);
     return Handlebars.Utils.escapeExpression(sourceMarkup);
   });
@@ -1,8 +1,16 @@
+import { EventEmitter } from 'events';
+import { outputStages, parseStages } from './pipeline';
 import init from './init';
-import prepare from './prepare/';
-import render from './render/';
-import parse from './parse/';
-import write from './write/';
+import { parse, prepare, render, renderPage, renderPattern } from './api';
+import middleware from './middleware/';
+import watch from './watch/';
+import serve from './serve/';
+import stream from './stream';
+import { clearCache } from './utils/cache';
+import { emitOn } from './utils/reporter';
+import fsWriter from './writers/fs';
+import memoryWriter from './writers/memory';
+import archiveWriter from './writers/archive';
 
 /**
  * Build the drizzle! This will:
@@ -12,11 +20,49 @@ import write from './write/';
  * - Render templates, collections, pages
  * - Write rendered data to the filesystem
  *
+ * Plugins (`options.plugins`) can hook in around each of these stages.
+ *
+ * With `options.failureMode` 'continue', the build completes even if some
+ * resources fail to render; their errors are on `drizzleData.errors`.
+ *
+ * Progress events are emitted on `options.reporter`, or on a new
+ * EventEmitter if none is given; either way, it is the returned Promise's
+ * `reporter` property. The build starts asynchronously, so listeners added
+ * right after calling `drizzle()` miss nothing. If the build fails, the
+ * error is also emitted as an `error` event (if anything listens for it).
+ * @see utils/reporter
+ *
  * @param {Object} options   User options for the build
  * @return {Promise} resolving to {Object} of all data generated and used
  */
-function drizzle (options) {
-  return init(options).then(prepare).then(parse).then(render).then(write);
+function drizzle (options = {}) {
+  const reporter = options.reporter || new EventEmitter();
+  const build = Promise.resolve(Object.assign({}, options, { reporter }))
+    .then(parseStages)
+    .then(outputStages)
+    .catch(error => {
+      emitOn(reporter, 'error', error);
+      throw error;
+    });
+  build.reporter = reporter;
+  return build;
 }
 
+drizzle.clearCache = clearCache;
+drizzle.init = init;
+drizzle.middleware = middleware;
+drizzle.parse = parse;
+drizzle.prepare = prepare;
+drizzle.render = render;
+drizzle.renderPage = renderPage;
+drizzle.renderPattern = renderPattern;
+drizzle.serve = serve;
+drizzle.stream = stream;
+drizzle.watch = watch;
+drizzle.writers = {
+  archive: archiveWriter,
+  fs: fsWriter,
+  memory: memoryWriter
+};
+
 export default drizzle;
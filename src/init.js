@@ -1,8 +1,16 @@
 import deepExtend from 'deep-extend';
+import { omit } from 'ramda';
 import defaults from './defaults';
-import Promise from 'bluebird';
+import schema from './schema';
+import handlebarsEngine from './engines/handlebars';
+import fsWriter from './writers/fs';
 import Handlebars from 'handlebars';
 import path from 'path';
+import { loadConfig } from './utils/config';
+import { pluginProvided } from './utils/plugins';
+import { registerReporter } from './utils/reporter';
+import { validateOptions } from './utils/validate';
+import DrizzleError from './utils/error';
 
 /**
  * For relative pathing to work, let's convert all paths in src options to
@@ -21,7 +29,30 @@ function normalizePaths (opts) {
 }
 
 /**
- * Merge defaults into passed options.
+ * Options that are used as-is rather than deep-merged: their values are
+ * objects (plugins, template engine and writer adapters, the reporter) that
+ * should keep their prototypes and internal state.
+ */
+const byReference = ['engines', 'plugins', 'reporter', 'writer'];
+
+/**
+ * Merge defaults, options from a config file and passed options, in
+ * increasing order of precedence. The config file is discovered from the
+ * working directory upward unless `options.config` is a path to one, or
+ * `false`. @see utils/config
+ *
+ * Merged options are validated against the options schema: unknown keys and
+ * missing directories are warnings; values of the wrong type are errors.
+ *
+ * Plugins and template engines are kept as-is (not merged). Parsers provided
+ * by plugins take precedence over defaults, but not over parsers in user
+ * options. The Handlebars engine is always available, as the default.
+ * @see utils/render
+ * Output is written to the filesystem unless another writer adapter is
+ * given. @see utils/write
+ * Progress events are emitted on `options.reporter`, if given, from here
+ * on. @see utils/reporter
+ *
  * @param {Object} options
  * @param {Object} handlebars   Handlebars instance—it can be passed explicitly,
  *                              primarily for testing purposes.
@@ -29,10 +60,31 @@ function normalizePaths (opts) {
  */
 
 function init (options = {}, handlebars) {
-  const opts = deepExtend({}, defaults, options);
-  normalizePaths(opts);
-  opts.handlebars = handlebars || Handlebars.create();
-  return Promise.resolve(opts);
+  return loadConfig(options.config, options.debug).then(fileOptions => {
+    const plugins = options.plugins || fileOptions.plugins ||
+      defaults.plugins;
+    const explicit = deepExtend({}, omit(byReference, fileOptions),
+      omit(byReference, options));
+    const opts = deepExtend({}, defaults, {
+      parsers: pluginProvided('parsers', { plugins })
+    }, explicit);
+    opts.plugins = plugins;
+    opts.engines = Object.assign({}, fileOptions.engines, options.engines);
+    opts.writer = options.writer || fileOptions.writer || fsWriter();
+    if (options.reporter || fileOptions.reporter) {
+      opts.reporter = options.reporter || fileOptions.reporter;
+      registerReporter(opts);
+    }
+    normalizePaths(opts);
+    validateOptions(opts, schema, explicit)
+      .forEach(problem => DrizzleError.error(problem, opts.debug,
+        { stage: 'init' }));
+    opts.handlebars = handlebars || Handlebars.create();
+    if (!opts.engines.handlebars) {
+      opts.engines.handlebars = handlebarsEngine(opts);
+    }
+    return opts;
+  });
 }
 
 export default init;
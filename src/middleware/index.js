@@ -0,0 +1,205 @@
+/**
+ * Connect/Express middleware.
+ * @module middleware
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { stat as statCB } from 'fs';
+
+import { parseStages } from '../pipeline';
+import { renderPage } from '../api';
+import renderPatternPage from '../render/pattern';
+import { getFiles, isGlob } from '../utils/parse';
+import { isPattern, outputResourceId, resourceDest } from '../utils/shared';
+import { updateData,
+         updateHelper,
+         updatePage,
+         updatePattern,
+         updateTemplate } from '../watch/update';
+
+const stat = Promise.promisify(statCB);
+
+/**
+ * Globs of the source files that can change, keyed by source type (as in
+ * watch/update).
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function sourceGlobs (options) {
+  const globs = {};
+  ['data', 'pages', 'patterns', 'templates'].forEach(srcKey => {
+    globs[srcKey] = options.src[srcKey].glob;
+  });
+  if (isGlob(options.helpers)) {
+    globs.helpers = options.helpers;
+  }
+  return globs;
+}
+
+/**
+ * Modification times of all source files.
+ *
+ * @param {Object} options
+ * @return {Promise} resolving to {Object} keyed by absolute path, with
+ *                   `{ type, mtime }` values
+ */
+function sourceTimes (options) {
+  const globs = sourceGlobs(options);
+  const times = {};
+  return Promise.all(Object.keys(globs).map(type =>
+    getFiles(globs[type]).then(files => Promise.all(files.map(file =>
+      stat(file).then(stats => {
+        times[path.resolve(file)] = { type, mtime: stats.mtime.getTime() };
+      }, () => undefined)
+    )))
+  )).then(() => times);
+}
+
+/**
+ * Work out which source files were added, changed or removed.
+ *
+ * @param {Object} before   @see sourceTimes
+ * @param {Object} after
+ * @return {Array} of `{ type, event, path }`
+ */
+function sourceChanges (before, after) {
+  const changes = [];
+  Object.keys(after).forEach(filepath => {
+    if (!before.hasOwnProperty(filepath)) {
+      changes.push({ type: after[filepath].type, event: 'add',
+        path: filepath });
+    } else if (before[filepath].mtime !== after[filepath].mtime) {
+      changes.push({ type: after[filepath].type, event: 'change',
+        path: filepath });
+    }
+  });
+  Object.keys(before).forEach(filepath => {
+    if (!after.hasOwnProperty(filepath)) {
+      changes.push({ type: before[filepath].type, event: 'unlink',
+        path: filepath });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Apply source changes to parsed drizzleData. @see watch/update
+ */
+const updaters = {
+  data: (change, drizzleData) => updateData(drizzleData),
+  helpers: (change, drizzleData) =>
+    updateHelper(change.path, change.event, drizzleData),
+  pages: (change, drizzleData) =>
+    updatePage(change.path, change.event, drizzleData),
+  patterns: (change, drizzleData) =>
+    updatePattern(change.path, change.event, drizzleData),
+  templates: (change, drizzleData) =>
+    updateTemplate(change.path, change.event, drizzleData)
+};
+
+/**
+ * Find the resource that would be written to the path requested by `url`
+ * (the inverse of `resourcePath`). URLs ending in `/` map to `index.html`;
+ * URLs without an extension get `.html`.
+ *
+ * @param {String} url
+ * @param {Object} drizzleData
+ * @return {Object|undefined} resource
+ */
+function urlResource (url, drizzleData) {
+  const { dest, keys, layouts } = drizzleData.options;
+  let pathname = decodeURIComponent(url.split(/[?#]/)[0]);
+  if (pathname.slice(-1) === '/') {
+    pathname += 'index.html';
+  } else if (!path.extname(pathname)) {
+    pathname += '.html';
+  }
+  const outputPath = path.join(path.resolve(dest.root), pathname);
+  const tree = drizzleData.tree;
+  const candidates = [
+    ['pages', tree.pages],
+    ['collections', tree.collections],
+    ['patterns', (layouts.pattern) ? tree.patterns : []]
+  ];
+  return candidates.map(([type, resources]) => {
+    const id = outputResourceId(outputPath,
+      resourceDest(type, drizzleData.options), keys[type].plural);
+    return id && resources.find(resource => resource.id === id);
+  }).find(Boolean);
+}
+
+/**
+ * Render a resource's HTML without changing drizzleData.
+ *
+ * @param {Object} resource
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to {String} HTML
+ */
+function renderResource (resource, drizzleData) {
+  if (isPattern(resource)) {
+    return Promise.try(() =>
+      renderPatternPage(Object.assign({}, resource), drizzleData));
+  }
+  return renderPage(drizzleData, resource.id);
+}
+
+/**
+ * Connect/Express middleware that serves drizzle pages, collection pages
+ * and pattern preview pages, rendered on demand. Sources are parsed once;
+ * before each request, only source files whose modification times changed
+ * are re-parsed (@see watch/update). Nothing is written.
+ *
+ * Requests that don't map to a resource are passed on with `next()`; errors
+ * are passed to `next(error)`.
+ *
+ * @param {Object} options   User options for the build
+ * @return {Function} middleware `(request, response, next)`
+ */
+function middleware (options) {
+  let times = {};
+  let drizzleData;
+
+  const parseAll = () => parseStages(options).then(parsedData => {
+    drizzleData = parsedData;
+    return sourceTimes(drizzleData.options);
+  }).then(sourceTimesNow => {
+    times = sourceTimesNow;
+  });
+
+  // If the initial parse failed, try again (reporting errors) on request
+  const refresh = () => (!drizzleData) ? parseAll() :
+    sourceTimes(drizzleData.options).then(now => {
+      return Promise.each(sourceChanges(times, now), change =>
+        updaters[change.type](change, drizzleData)
+      ).then(() => {
+        times = now;
+      });
+    });
+
+  let queue = parseAll().catch(() => undefined);
+
+  return (request, response, next) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      next();
+      return queue;
+    }
+    // Refresh one request at a time, so changes are applied once
+    const refreshed = queue.then(refresh);
+    queue = refreshed.catch(() => undefined);
+    return refreshed.then(() => {
+      const resource = urlResource(request.url, drizzleData);
+      if (!resource) {
+        next();
+        return undefined;
+      }
+      return renderResource(resource, drizzleData).then(html => {
+        response.statusCode = 200;
+        response.setHeader('Content-Type', 'text/html; charset=utf-8');
+        response.end(request.method === 'HEAD' ? undefined : html);
+      });
+    }).catch(error => next(error));
+  };
+}
+
+export default middleware;
@@ -9,19 +9,21 @@ import parseTemplates from './templates';
 import parseTree from './tree';
 
 import DrizzleError from '../utils/error';
+import { timedSource } from '../utils/profile';
 /**
- * Parse files with data from src and build a drizzleData object
+ * Parse files with data from src and build a drizzleData object. With
+ * `options.debug.profile`, each type of source is timed.
  * @param {Object} options
  * @return {Promise} resolving to Drizzle data object
  */
 function parseAll (options) {
   return Promise.all([
-    parseData(options),
-    parsePages(options),
-    parsePatterns(options),
-    parseTemplates(options)
+    timedSource('data', parseData)(options),
+    timedSource('pages', parsePages)(options),
+    timedSource('patterns', parsePatterns)(options),
+    timedSource('templates', parseTemplates)(options)
   ]).then(allData => parseTree(allData, options),
-    error => DrizzleError.error(error, options.debug)
+    error => DrizzleError.error(error, options.debug, { stage: 'parse' })
   );
 }
 
@@ -3,12 +3,13 @@
  */
 import { resourceId, resourceKey } from '../utils/object';
 import { readFiles, readFileTree } from '../utils/parse';
-import { titleCase } from '../utils/shared';
+import { resourceDest, resourcePath, titleCase } from '../utils/shared';
 import path from 'path';
 
 import DrizzleError from '../utils/error';
 
 const isPattern = obj => obj.hasOwnProperty('path');
+const isVariant = obj => obj.hasOwnProperty('variantOf');
 const collectionPath = itms => path.dirname(itms[Object.keys(itms).pop()].path);
 const collectionKey = itms => collectionPath(itms).split(path.sep).pop();
 
@@ -56,6 +57,16 @@ function collectionGlob (items) {
   return path.join(collectionPath(items), 'collection.+(yml|yaml|json)');
 }
 
+/**
+ * Construct a glob to look for variant sidecar data files
+ * (e.g. `button.variants.yml` for `button.html`).
+ * @param {String} dirPath   The collection's directory
+ * @return {String} glob
+ */
+function variantsGlob (dirPath) {
+  return path.join(dirPath, '*.variants.+(yml|yaml|json)');
+}
+
 /**
  * Do any of the patterns in this collection have ordering information in their
  * front matter?
@@ -70,7 +81,9 @@ const hasPatternOrdering = itms => {
 };
 
 /**
- * Flesh out an individual pattern object.
+ * Flesh out an individual pattern object. If patterns get their own preview
+ * pages (`options.layouts.pattern`), give the pattern the `url` of its page,
+ * relative to `options.dest.root`.
  *
  * @param {Object} patternObj
  * @param {Object} options
@@ -78,10 +91,71 @@ const hasPatternOrdering = itms => {
  */
 function buildPattern (patternObj, options) {
   const patternFile = { path: patternObj.path };
-  return Object.assign(patternObj, {
+  const props = {
     name: (patternObj.data && patternObj.data.name) ||
       titleCase(resourceKey(patternFile))
+  };
+  if (options.layouts.pattern) {
+    props.url = resourcePath(patternObj.id,
+      path.relative(options.dest.root, resourceDest('patterns', options)));
+  }
+  return Object.assign(patternObj, props);
+}
+
+/**
+ * Normalize a `variants` definition into an Array of `[key, data]` pairs.
+ * Variants can be defined as an Object keyed by variant key, or as an Array
+ * of Objects, keyed by their `key` property, their `name` or their index.
+ *
+ * @param {Object|Array} variants
+ * @return {Array}
+ *
+ * @example
+ * variantEntries([{ name: 'Large Size', size: 'lg' }]);
+ * // [['large-size', { name: 'Large Size', size: 'lg' }]]
+ */
+function variantEntries (variants) {
+  if (Array.isArray(variants)) {
+    return variants.map((variant, index) => {
+      const key = variant.key ||
+        (variant.name && variant.name.toLowerCase().replace(/\s+/g, '-')) ||
+        String(index);
+      return [key, variant];
+    });
+  }
+  return Object.keys(variants || {}).map(key => [key, variants[key]]);
+}
+
+/**
+ * Build variant entries for `pattern`. Each variant is a pattern of its own
+ * that shares the pattern's template (`variantOf` is the ID of the pattern
+ * whose partial it renders) but has the variant's data merged over the
+ * pattern's data.
+ *
+ * @param {Object} pattern    Built-out pattern
+ * @param {String} patternKey
+ * @param {Object|Array} variants
+ * @param {Object} options
+ * @return {Object} variant patterns, keyed by `patternKey--variantKey`
+ */
+function buildVariants (pattern, patternKey, variants, options) {
+  const built = {};
+  const patternData = Object.assign({}, pattern.data);
+  delete patternData.variants;
+  variantEntries(variants).forEach(([variantKey, variantData]) => {
+    const itemKey = `${patternKey}--${variantKey}`;
+    const data = Object.assign({}, patternData, variantData);
+    delete data.key;
+    data.name = variantData.name ||
+      `${pattern.name}: ${titleCase(variantKey)}`;
+    built[itemKey] = buildPattern(Object.assign({}, pattern, {
+      id: `${pattern.id}--${variantKey}`,
+      data: data,
+      variant: variantKey,
+      variantOf: pattern.id
+    }), options);
   });
+  return built;
 }
 
 /**
@@ -89,54 +163,128 @@ function buildPattern (patternObj, options) {
  * before any of these patterns get assigned to `items` or `patterns` on
  * `collectionObj.collection`.
  *
+ * Patterns with `variants`—in front matter or in a sidecar data file—are
+ * expanded: each variant gets an entry of its own, following the pattern's,
+ * and the pattern gets a `variants` Array of them.
+ *
  * @param {Object} collectionObj  The containing object with pattern children
  *                                that will ultimately be managed under
  *                                collectionObj.collection (items and patterns)
  * @param {Object} options
+ * @param {Object} sidecars       Variants from sidecar data files, keyed by
+ *                                pattern key
  * @return {Object} patterns      Built-out pattern objects
  */
-function buildPatterns (collectionObj, options) {
+function buildPatterns (collectionObj, options, sidecars = {}) {
   const patterns = {};
   for (const childKey in collectionObj) {
     if (isPattern(collectionObj[childKey])) {
-      patterns[childKey] = buildPattern(collectionObj[childKey], options);
+      const pattern = buildPattern(collectionObj[childKey], options);
+      const variants = (pattern.data && pattern.data.variants) ||
+        sidecars[childKey];
+      patterns[childKey] = pattern;
+      if (variants) {
+        const built = buildVariants(pattern, childKey, variants, options);
+        pattern.variants = Object.keys(built).map(itemKey => built[itemKey]);
+        Object.assign(patterns, built);
+      }
       delete collectionObj[childKey];
     }
   }
   return patterns;
 }
 
+/**
+ * Read variant sidecar data files in the collection's directory.
+ *
+ * @param {Object} collectionObj
+ * @param {Object} options
+ * @return {Promise} resolving to variants keyed by pattern key
+ */
+function readVariants (collectionObj, options) {
+  const patternKey = Object.keys(collectionObj).find(childKey =>
+    isPattern(collectionObj[childKey]));
+  const dirPath = path.dirname(collectionObj[patternKey].path);
+  return readFiles(variantsGlob(dirPath), options).then(variantFiles => {
+    const sidecars = {};
+    variantFiles.forEach(variantFile => {
+      sidecars[path.basename(variantFile.path).split('.variants.')[0]] =
+        variantFile.contents;
+    });
+    return sidecars;
+  });
+}
+
+/**
+ * Sort pattern keys by the `order` in each pattern's front matter, if any of
+ * the patterns have it. Otherwise keys are left in their existing order.
+ *
+ * @param {Array} keys    Pattern keys to sort
+ * @param {Object} items  All of the collection's patterns
+ * @return {Array} sorted keys
+ */
+function fallbackSort (keys, items) {
+  const sortable = {};
+  keys.forEach(key => sortable[key] = items[key]);
+  if (!hasPatternOrdering(sortable)) {
+    return keys;
+  }
+  return keys.slice().sort((keyA, keyB) => {
+    const orderA = (items[keyA].data && items[keyA].data.order) || 10000;
+    const orderB = (items[keyB].data && items[keyB].data.order) || 10000;
+    return orderA - orderB;
+  });
+}
+
+/**
+ * Pattern keys listed in the collection's `order` metadata Array, in that
+ * order. Listed keys that don't match a pattern are warned about and skipped.
+ *
+ * @param {Object} collection
+ * @param {Object} options
+ * @return {Array} listed keys
+ */
+function listedKeys (collection, options) {
+  if (!Array.isArray(collection.order)) {
+    return [];
+  }
+  return collection.order.filter(key => {
+    if (!collection.items.hasOwnProperty(key)) {
+      DrizzleError.error(new DrizzleError(`Collection '${collection.id}'
+lists '${key}' in its 'order', but there is no such pattern`,
+        DrizzleError.LEVELS.WARN), options.debug);
+      return false;
+    }
+    return true;
+  });
+}
+
 /**
  * Transform the `collection`'s `items` (all patterns, unordered) into
  * an {Array} of ordered, visible patterns that should be rendered as part
- * of this collection. Check both individual pattern files and collection
- * metadata for ordering information, as well as information about hidden
- * patterns.
+ * of this collection. Patterns listed in the collection metadata's `order`
+ * Array come first, in that order; the rest are sorted by the `order` in
+ * their front matter, if any. Check both individual pattern files and
+ * collection metadata for information about hidden patterns.
  *
  * @param {Object} collection
+ * @param {Object} options
  * @return {Array} patterns            Ordered, visible patterns
  */
-function buildOrderedPatterns (collection) {
-  let sortedKeys;
-  if (hasPatternOrdering(collection.items)) {
-    sortedKeys = Object.keys(collection.items).sort((keyA, keyB) => {
-      const orderA = collection.items[keyA].data.order || 10000;
-      const orderB = collection.items[keyB].data.order || 10000;
-      return orderA - orderB;
-    });
-  } else {
-    sortedKeys = [];
-  }
+function buildOrderedPatterns (collection, options = {}) {
+  const listed = listedKeys(collection, options);
+  const sortedKeys = listed.concat(fallbackSort(
+    // Make sure all keys are accounted for
+    Object.keys(collection.items).filter(itemKey =>
+      listed.indexOf(itemKey) < 0 && !isVariant(collection.items[itemKey])),
+    collection.items
+  ));
   const patterns = [];
-  sortedKeys = sortedKeys.concat(
-    Object.keys(collection.items).filter(itemKey => {
-      // Make sure all keys are accounted for
-      return (sortedKeys.indexOf(itemKey) < 0);
-    })
-  );
   sortedKeys.forEach(sortedKey => {
-    if (!isHidden(collection, collection.items[sortedKey], sortedKey)) {
-      patterns.push(collection.items[sortedKey]);
+    const pattern = collection.items[sortedKey];
+    if (!isHidden(collection, pattern, sortedKey)) {
+      // Patterns with variants are shown as their variants
+      Array.prototype.push.apply(patterns, pattern.variants || [pattern]);
     }
   });
   return patterns;
@@ -156,9 +304,12 @@ function buildOrderedPatterns (collection) {
  *                                function tacks on).
  */
 function buildCollection (collectionObj, options) {
-  const items = buildPatterns (collectionObj, options);
-  const pseudoFile = { path: collectionPath(items) };
-  return readFiles(collectionGlob(items), options).then(collData => {
+  let items, pseudoFile;
+  return readVariants(collectionObj, options).then(sidecars => {
+    items = buildPatterns (collectionObj, options, sidecars);
+    pseudoFile = { path: collectionPath(items) };
+    return readFiles(collectionGlob(items), options);
+  }).then(collData => {
     const collectionMeta = (collData.length) ? collData[0].contents : {};
     collectionObj.collection = Object.assign ({
       name: titleCase(collectionKey(items)),
@@ -170,7 +321,7 @@ function buildCollection (collectionObj, options) {
       `Collection ${collectionObj.collection.name}`, options);
     collectionObj.collection.items = items;
     collectionObj.collection.patterns = buildOrderedPatterns(
-      collectionObj.collection);
+      collectionObj.collection, options);
     return collectionObj;
   });
 }
@@ -202,14 +353,18 @@ function buildCollections (patternObj, options, collectionPromises = []) {
  * build collection data.
  *
  * @param {Object} options
+ * @param {Object} src      Object with `glob` and `basedir`. Defaults to
+ *                          `options.src.patterns`; a narrower `glob` parses
+ *                          only some of the patterns (e.g. one collection's)
  * @return {Promise} resolving to pattern/collection data
  */
-function parsePatterns (options) {
-  return readFileTree(options.src.patterns, options.keys.patterns, options)
+function parsePatterns (options, src = options.src.patterns) {
+  return readFileTree(src, options.keys.patterns, options)
   .then(patternObj => {
     return Promise.all(buildCollections(patternObj, options))
       .then(() => patternObj,
-            error => DrizzleError.error(error, options.debug));
+            error => DrizzleError.error(error, options.debug,
+              { stage: 'parse' }));
   });
 }
 
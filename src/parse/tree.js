@@ -35,7 +35,23 @@ function walkResources (
   return resourceTree;
 }
 
+/**
+ * All patterns, from the `items` of every collection.
+ * @param {Array} collections
+ * @return {Array}
+ */
+function collectionPatterns (collections) {
+  return collections.reduce((patterns, collection) => patterns.concat(
+    Object.keys(collection.items).map(itemKey => collection.items[itemKey])
+  ), []);
+}
+
 function parseTree (allData, options) {
+  const collections = walkResources(
+    allData[2],
+    options,
+    options.keys.collections
+  );
   const dataObj = {
     data     : allData[0],
     pages    : allData[1],
@@ -47,11 +63,8 @@ function parseTree (allData, options) {
         options,
         options.keys.pages
       ),
-      collections: walkResources(
-        allData[2],
-        options,
-        options.keys.collections
-      )
+      collections: collections,
+      patterns: collectionPatterns(collections)
     },
     options  : options
   };
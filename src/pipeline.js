@@ -0,0 +1,128 @@
+/**
+ * The build pipeline, with plugin hooks around each stage. It is in parts
+ * so that callers (e.g. watch, the programmatic API) can get at prepared
+ * options and parsed data before they are rendered. Each stage is timed
+ * (@see utils/timings) and announced on the reporter (@see utils/reporter).
+ * @module pipeline
+ */
+import init from './init';
+import prepare from './prepare/';
+import parse from './parse/';
+import render from './render/';
+import write from './write/';
+import { runHook, runResourceHooks } from './utils/plugins';
+import { stageTimings, timed } from './utils/timings';
+import { reportProfile } from './utils/profile';
+import { emit } from './utils/reporter';
+
+/**
+ * Options of a stage's input or result: prepared (or, before init, user)
+ * options, or drizzleData's `options`.
+ * @param {Object} value
+ * @return {Object}
+ */
+const optionsOf = value => (value && value.options) || value;
+
+/**
+ * Time a stage function and emit `stage:start` and `stage:end` (with its
+ * timing) events around it.
+ *
+ * @param {String} name     e.g. 'parse'
+ * @param {Function} fn     Takes one argument and returns a Promise
+ * @return {Function}
+ */
+function stage (name, fn) {
+  const timedFn = timed(name, fn);
+  return input => {
+    emit(optionsOf(input), 'stage:start', { stage: name });
+    return timedFn(input).then(result => {
+      const options = optionsOf(result);
+      emit(options, 'stage:end', {
+        stage: name,
+        ms: stageTimings(options)[name]
+      });
+      return result;
+    });
+  };
+}
+
+/**
+ * Init and prepare:
+ * - Init: Parse and merge passed options with defaults
+ * - Prepare templating—partials, templates, helpers
+ *
+ * Runs the `afterInit` and `afterPrepare` plugin hooks.
+ *
+ * @param {Object} options   User options for the build
+ * @return {Promise} resolving to prepared options
+ */
+function prepareStages (options) {
+  return stage('init', init)(options)
+    .then(opts => runHook('afterInit', opts, opts))
+    .then(stage('prepare', prepare))
+    .then(opts => runHook('afterPrepare', opts, opts));
+}
+
+/**
+ * Parse files—data, patterns, pages, layouts—and organize a data object.
+ *
+ * Runs the `afterParse` plugin hook.
+ *
+ * @param {Object} options   Prepared options @see prepareStages
+ * @return {Promise} resolving to parsed drizzleData
+ */
+function parseStage (options) {
+  return stage('parse', parse)(options)
+    .then(drizzleData => runHook('afterParse', drizzleData,
+      drizzleData.options));
+}
+
+/**
+ * Init, prepare and parse. @see prepareStages, parseStage
+ *
+ * @param {Object} options   User options for the build
+ * @return {Promise} resolving to parsed drizzleData
+ */
+function parseStages (options) {
+  return prepareStages(options).then(parseStage);
+}
+
+/**
+ * Render templates, collections, pages.
+ *
+ * Runs the `beforeRender` and `afterRenderResource` (per resource) plugin
+ * hooks.
+ *
+ * @param {Object} drizzleData   Parsed drizzleData
+ * @return {Promise} resolving to rendered drizzleData
+ */
+function renderStages (drizzleData) {
+  return runHook('beforeRender', drizzleData, drizzleData.options)
+    .then(stage('render', render))
+    .then(renderedData => runResourceHooks('afterRenderResource',
+      renderedData));
+}
+
+/**
+ * Render and write:
+ * - Render templates, collections, pages
+ * - Write rendered data to the filesystem
+ *
+ * Runs the `beforeRender`, `afterRenderResource` (per resource),
+ * `beforeWrite` (per resource) and `afterBuild` plugin hooks. With
+ * `options.debug.profile`, logs the build's profile once written
+ * (@see utils/profile).
+ *
+ * @param {Object} drizzleData   Parsed drizzleData
+ * @return {Promise} resolving to {Object} of all data generated and used
+ */
+function outputStages (drizzleData) {
+  return renderStages(drizzleData)
+    .then(renderedData => runResourceHooks('beforeWrite', renderedData))
+    .then(stage('write', write))
+    .then(reportProfile)
+    .then(writtenData => runHook('afterBuild', writtenData,
+      writtenData.options));
+}
+
+export { outputStages, parseStage, parseStages, prepareStages, renderStages };
@@ -5,6 +5,9 @@
 
 import { keyname } from '../utils/shared';
 import { getFiles, isGlob } from '../utils/parse';
+import { pluginProvided } from '../utils/plugins';
+import { eachEngine } from '../utils/render';
+import { profileHelpers } from '../utils/profile';
 import registerDataHelpers from '../helpers/data';
 import registerPageHelpers from '../helpers/page';
 import registerPatternHelpers from '../helpers/pattern';
@@ -47,6 +50,12 @@ function getHelpers (options) {
  * register. In the latter case, the filename w/o extension
  * will be used as the helper key.
  *
+ * Helpers provided by plugins are registered before user helpers, so user
+ * helpers of the same name win. Plugin and user helpers are registered on
+ * every template engine; drizzle's own helpers are Handlebars helpers.
+ * With `options.debug.profile`, Handlebars helpers are wrapped to be timed
+ * (@see utils/profile).
+ *
  * @param {Object} options
  * @return {Promise} that resolves to all helpers registered on Handlebars
  */
@@ -63,11 +72,17 @@ function prepareHelpers (options) {
         'ns', stringHelpers.ns(options.handlebars, {prefix: 'drizzle-'})
       );
 
-      for (var helper in helpers) {
-        options.handlebars.registerHelper(helper, helpers[helper]);
-      }
+      const allHelpers = Object.assign({},
+        pluginProvided('helpers', options), helpers);
+      eachEngine(options, engine => {
+        for (var helper in allHelpers) {
+          engine.registerHelper(helper, allHelpers[helper]);
+        }
+      });
+      profileHelpers(options);
       return options;
-    }, error => DrizzleError.error(error, options.debug));
+    }, error => DrizzleError.error(error, options.debug,
+      { stage: 'prepare' }));
 }
 
 export default prepareHelpers;
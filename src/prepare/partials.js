@@ -3,12 +3,15 @@
  * @module prepare/partials
  */
 import { resourceId } from '../utils/object';
-import { readFiles } from '../utils/parse';
+import { identifyError, readFiles } from '../utils/parse';
+import { matchEngine } from '../utils/render';
+import { pluginProvided } from '../utils/plugins';
 import DrizzleError from '../utils/error';
 
 /**
- * Register the files matching `src.glob` as partials. Keys are generated by
- * using path relative to `src.basedir` separated by `.`
+ * Register the files matching `src.glob` as partials on the template engine
+ * matching each file. Keys are generated by using path relative to
+ * `src.basedir` separated by `.`
  * @param {Object} src    Object with `path` and `basedir` props
  *                        @see defaults
  * @param {Object} options
@@ -17,31 +20,50 @@ import DrizzleError from '../utils/error';
  * @return {Promise}
  */
 function registerPartials (src, options, prefix = '') {
-  return readFiles(src.glob, options).then(partialFiles => {
+  return readFiles(src.glob, options).catch(error => {
+    throw identifyError(error, src, prefix);
+  }).then(partialFiles => {
     partialFiles.forEach(partialFile => {
       const partialKey = resourceId(partialFile, src.basedir, prefix);
-      if (options.handlebars.partials.hasOwnProperty(partialKey)) {
+      const engine = matchEngine(partialFile.path, options);
+      if (engine.hasPartial(partialKey)) {
         DrizzleError.error(new DrizzleError(`Partial key '${partialKey}' already
-registered on Handlebars instance: is this intentional?`,
-          DrizzleError.LEVELS.WARN), options);
+registered on ${engine.name} engine: is this intentional?`,
+          DrizzleError.LEVELS.WARN, { stage: 'prepare',
+            path: partialFile.path }), options.debug);
       }
-      options.handlebars.registerPartial(partialKey, partialFile.contents);
+      engine.registerPartial(partialKey, partialFile.contents);
     });
   });
 }
 
+/**
+ * Register partials provided by plugins (`partials` property: an object of
+ * partial key => template string) on the default engine. These are
+ * registered first, so file partials with the same key will warn and win.
+ * @param {Object} options
+ */
+function registerPluginPartials (options) {
+  const partials = pluginProvided('partials', options);
+  const engine = matchEngine(undefined, options);
+  for (var partialKey in partials) {
+    engine.registerPartial(partialKey, partials[partialKey]);
+  }
+}
+
 /**
  * Register a glob of partials.
  * @param {Object} Handlebars instance
  * @param {String|Array} glob
  */
 function preparePartials (options) {
+  registerPluginPartials(options);
   return Promise.all([
     registerPartials(options.src.templates, options), // Partials as partials
     registerPartials(options.src.patterns, options, 'patterns') // Patterns
   ]).then(
     () => options,
-    error => DrizzleError.error(error, options.debug)
+    error => DrizzleError.error(error, options.debug, { stage: 'prepare' })
   );
 }
 
@@ -0,0 +1,39 @@
+import { resourceContext } from '../utils/context';
+import { applyTemplate } from '../utils/render';
+import { deepObj } from '../utils/object';
+import { idKeys } from '../utils/shared';
+import DrizzleError from '../utils/error';
+
+/**
+ * Render a pattern-collection page for a `collection` object, using the
+ * collection layout. Patterns will not render individual pages. This function
+ * mutates `collection`, replacing its `contents`.
+ *
+ * @param {Object} collection    The collection object to render (the
+ *                               `collection` property of a patterns entry)
+ * @param {Object} drizzleData   All the data we have, including `options`
+ * @return {String}              compiled/rendered collection contents
+ */
+function renderCollection (collection, drizzleData) {
+  const layoutKey = drizzleData.options.layouts.collection;
+  let layoutObj;
+  try {
+    // deepObj will throw if it fails, which is good and fine...
+    layoutObj = deepObj(idKeys(layoutKey), drizzleData.templates, false);
+  } catch (e) {
+    // But Make this error more friendly and specific
+    DrizzleError.error(new DrizzleError(
+      `Could not find partial for default collection layout
+'${layoutKey}'. Check 'options.layouts.collection' and/or
+'options.src.templates' values to make sure they are OK`,
+    DrizzleError.LEVELS.ERROR), drizzleData.options.debug);
+  }
+  collection.contents = applyTemplate(
+    layoutObj.contents,
+    resourceContext(collection, drizzleData),
+    drizzleData.options,
+    layoutObj.path);
+  return collection.contents;
+}
+
+export default renderCollection;
@@ -1,28 +1,63 @@
 import renderPages from './pages';
 import renderCollections from './collections';
+import renderPatterns from './patterns';
+import renderWithWorkers from './pool';
+import { templateCacheStats } from '../utils/render';
 
 import DrizzleError from '../utils/error';
+import { createLogger } from '../utils/logger';
 
 /**
- * Render pages and pattern-collection pages.
+ * Render on the main thread.
+ * @param {Object} drizzleData
+ * @return {Promise}
+ */
+function renderSerially (drizzleData) {
+  return Promise.all([
+    renderPages(drizzleData),
+    renderCollections(drizzleData),
+    renderPatterns(drizzleData)
+  ]);
+}
+
+/**
+ * Render pages, pattern-collection pages and, if a pattern layout is set,
+ * pattern preview pages. If `options.workers` is set, rendering is spread
+ * across a pool of worker processes (@see render/pool), falling back to
+ * rendering on the main thread if the build can't be rendered by workers.
+ *
+ * With `options.failureMode` 'continue', resources that fail to render are
+ * replaced by error placeholder pages and their errors are collected on
+ * `drizzleData.errors` (@see render/placeholder); workers aren't used.
+ *
+ * Compiled-template cache statistics are logged at the DEBUG level
+ * (@see utils/logger).
  *
  * @param {Object} drizzleData  All data built so far
  * @return {Promise} resolving to drizzleData
  */
 function render (drizzleData) {
-  return Promise.all([
-    renderPages(drizzleData),
-    renderCollections(drizzleData)
-  ]).then(allData => {
+  drizzleData.errors = drizzleData.errors || [];
+  const rendered = (drizzleData.options.workers) ?
+    renderWithWorkers(drizzleData).then(done =>
+      done || renderSerially(drizzleData)) :
+    renderSerially(drizzleData);
+  return rendered.then(() => {
+    const stats = templateCacheStats(drizzleData.options);
+    createLogger(drizzleData.options.debug).debug(`Template cache: ${
+      stats.hits} hit(s), ${stats.misses} miss(es), ${
+      stats.size} template(s)`, { stage: 'render' });
     return {
       data    : drizzleData.data,
-      pages   : allData[0],
-      patterns: allData[1],
+      pages   : drizzleData.pages,
+      patterns: drizzleData.patterns,
       templates : drizzleData.templates,
       options : drizzleData.options,
-      tree: drizzleData.tree
+      tree: drizzleData.tree,
+      errors: drizzleData.errors
     };
-  }, error => DrizzleError.error(error, drizzleData.options.debug));
+  }, error => DrizzleError.error(error, drizzleData.options.debug,
+    { stage: 'render' }));
 }
 
 export default render;
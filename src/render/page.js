@@ -0,0 +1,38 @@
+import { applyTemplate, matchEngine } from '../utils/render';
+import { resourceContext } from '../utils/context';
+
+/**
+ * Wrap the page's current contents so that it extends its layout. If no
+ * layout was set in frontmatter, a default will be used. How contents are
+ * wrapped depends on the page's template engine (@see engines/handlebars);
+ * with Handlebars, any template can be used as the layout for a page as
+ * long as it contains a `#block` with the id of `main`.
+ *
+ * @param {Object} page
+ * @param {Object} drizzleData
+ * @return {String} wrapped contents
+ */
+function wrapWithLayout (page, drizzleData) {
+  const layout = page.data.layout || drizzleData.options.layouts.page;
+  return matchEngine(page.path, drizzleData.options)
+    .wrapWithLayout(page.contents, layout);
+}
+
+/**
+ * Render an individual page: replace its `contents` property
+ * with compiled contents. Mutates the passed page object.
+ *
+ * @param {Object} page        Data for this page
+ * @param {Object} drizzleData All parsed data
+ * @return {String} compiled/rendered page contents.
+ */
+function renderPage (page, drizzleData) {
+  page.contents = applyTemplate(
+    wrapWithLayout(page, drizzleData),
+    resourceContext(page, drizzleData),
+    drizzleData.options,
+    page.path);
+  return page.contents;
+}
+
+export default renderPage;
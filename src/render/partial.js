@@ -0,0 +1,45 @@
+import DrizzleError from '../utils/error';
+import { deepPattern } from '../utils/object';
+import { patternContext } from '../utils/context';
+import { compileTemplate, matchEngine } from '../utils/render';
+import { templateError } from '../utils/location';
+
+/**
+ * Retrieve correct pattern object data, find the right partial (on the
+ * pattern's template engine) and compile with correct local context.
+ * Variants use the partial of the pattern they are a variant of.
+ *
+ * @param {String} patternId
+ * @param {Object} drizzleData
+ * @param {Object} contextOverrides   Properties to set on (or replace in) the
+ *                                    pattern's local context
+ * @return {String} rendered pattern
+ */
+function renderPatternPartial (patternId, drizzleData, contextOverrides = {}) {
+  const patternObj = deepPattern(patternId, drizzleData.patterns);
+  const localContext = Object.assign(patternContext(patternObj, drizzleData),
+    contextOverrides);
+  const engine = matchEngine(patternObj.path, drizzleData.options);
+  let template = engine.partial(patternObj.variantOf || patternId);
+  if (typeof template !== 'undefined') {
+    const source = template;
+    try {
+      if (typeof template !== 'function') {
+        template = compileTemplate(template, drizzleData.options,
+          patternObj.path);
+      }
+      // Render and return
+      return template(localContext);
+    } catch (error) {
+      throw templateError(error, patternObj.path,
+        (typeof source === 'string') ? source : '',
+        { stage: 'render', id: patternId });
+    }
+  } else {
+    DrizzleError.error(new DrizzleError(
+      `Partial for pattern ${patternId} not found`, DrizzleError.LEVELS.ERROR),
+      drizzleData.options.debug);
+  }
+}
+
+export default renderPatternPartial;
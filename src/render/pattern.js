@@ -0,0 +1,36 @@
+import { patternContext } from '../utils/context';
+import { applyTemplate } from '../utils/render';
+import { deepObj } from '../utils/object';
+import { idKeys } from '../utils/shared';
+import DrizzleError from '../utils/error';
+
+/**
+ * Render a standalone preview page for a single pattern, using the pattern
+ * layout (`options.layouts.pattern`). A pattern's `contents` are its partial
+ * source, so the rendered page is stored on its `preview` property instead.
+ *
+ * @param {Object} pattern       The pattern object to render
+ * @param {Object} drizzleData   All the data we have, including `options`
+ * @return {String}              compiled/rendered preview page
+ */
+function renderPatternPage (pattern, drizzleData) {
+  const layoutKey = drizzleData.options.layouts.pattern;
+  let layoutObj;
+  try {
+    layoutObj = deepObj(idKeys(layoutKey), drizzleData.templates, false);
+  } catch (e) {
+    DrizzleError.error(new DrizzleError(
+      `Could not find partial for pattern layout '${layoutKey}'. Check
+'options.layouts.pattern' and/or 'options.src.templates' values to make sure
+they are OK`,
+    DrizzleError.LEVELS.ERROR), drizzleData.options.debug);
+  }
+  pattern.preview = applyTemplate(
+    layoutObj.contents,
+    patternContext(pattern, drizzleData),
+    drizzleData.options,
+    layoutObj.path);
+  return pattern.preview;
+}
+
+export default renderPatternPage;
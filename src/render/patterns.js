@@ -0,0 +1,20 @@
+import renderPatternPage from './pattern';
+import { renderOrPlaceholder } from './placeholder';
+
+/**
+ * Render standalone preview pages for every pattern, if a pattern layout
+ * (`options.layouts.pattern`) is set.
+ *
+ * @param {Object} drizzleData
+ * @return {Array} of patterns
+ */
+function renderPatterns (drizzleData) {
+  if (!drizzleData.options.layouts.pattern) {
+    return [];
+  }
+  drizzleData.tree.patterns.forEach(pattern =>
+    renderOrPlaceholder(renderPatternPage, pattern, drizzleData, 'preview'));
+  return drizzleData.tree.patterns;
+}
+
+export default renderPatterns;
@@ -0,0 +1,126 @@
+/**
+ * Error placeholder pages, rendered in place of resources that fail to
+ * render when `options.failureMode` is 'continue'.
+ * @module render/placeholder
+ */
+import DrizzleError from '../utils/error';
+import { createLogger } from '../utils/logger';
+import { timeResource } from '../utils/profile';
+import { emit } from '../utils/reporter';
+
+const htmlEscapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#x27;'
+};
+
+/**
+ * @param {String} text
+ * @return {String} `text`, safe to include in HTML
+ */
+function escapeHTML (text) {
+  return String(text).replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
+
+/**
+ * A standalone HTML page describing a render error: its message, the
+ * resource it happened in, the source location (and code frame, if known)
+ * and the stack.
+ *
+ * @param {DrizzleError} error
+ * @return {String}
+ */
+function placeholderPage (error) {
+  const context = error.context || {};
+  const location = [context.path, context.line, context.column]
+    .filter(part => part !== undefined).join(':');
+  const sections = [
+    `<h1>Drizzle could not render ${
+      escapeHTML(context.id || 'this page')}</h1>`,
+    `<p class="drizzle-error-message">${escapeHTML(error.message)}</p>`
+  ];
+  if (location) {
+    sections.push(
+      `<p class="drizzle-error-source">Source: <code>${
+        escapeHTML(location)}</code></p>`);
+  }
+  if (context.frame) {
+    sections.push(
+      `<pre class="drizzle-error-frame">${escapeHTML(context.frame)}</pre>`);
+  }
+  if (error.stack) {
+    sections.push(
+      `<pre class="drizzle-error-stack">${escapeHTML(error.stack)}</pre>`);
+  }
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Render error: ${escapeHTML(context.id || '')}</title>
+</head>
+<body class="drizzle-error">
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render `resource` with `renderFn(resource, drizzleData)`. If that throws
+ * and `options.failureMode` is 'continue', log the error, add it to
+ * `drizzleData.errors` and set an error placeholder page on the resource's
+ * `property` instead; otherwise, rethrow. Rendering is timed with
+ * `options.debug.profile` (@see utils/profile) and reported with a
+ * `resource:rendered` event (@see utils/reporter).
+ *
+ * @param {Function} renderFn
+ * @param {Object} resource      Page, collection or pattern
+ * @param {Object} drizzleData
+ * @param {String} property      Where rendered output goes: 'contents'
+ *                               (pages, collections) or 'preview' (patterns)
+ * @return {String} rendered output or placeholder
+ */
+function renderOrPlaceholder (renderFn, resource, drizzleData,
+  property = 'contents') {
+  const options = drizzleData.options;
+  let output;
+  let failed = false;
+  try {
+    output = timeResource(options, resource.id, () =>
+      renderFn(resource, drizzleData));
+  } catch (error) {
+    if (options.failureMode !== 'continue') {
+      throw error;
+    }
+    const drizzleError = (error instanceof DrizzleError) ? error :
+      new DrizzleError(error.message || String(error),
+        DrizzleError.LEVELS.ERROR);
+    if (error instanceof Error && !(error instanceof DrizzleError)) {
+      drizzleError.stack = error.stack;
+    }
+    const context = drizzleError.context = drizzleError.context || {};
+    const defaults = { stage: 'render', id: resource.id, path: resource.path };
+    Object.keys(defaults).forEach(field => {
+      if (context[field] === undefined) {
+        context[field] = defaults[field];
+      }
+    });
+    drizzleData.errors = drizzleData.errors || [];
+    drizzleData.errors.push(drizzleError);
+    createLogger(options.debug).log(drizzleError);
+    output = resource[property] = placeholderPage(drizzleError);
+    failed = true;
+  }
+  emit(options, 'resource:rendered', {
+    id: resource.id,
+    resourceType: resource.resourceType,
+    path: resource.path,
+    bytes: Buffer.byteLength(output || ''),
+    failed: failed
+  });
+  return output;
+}
+
+export { placeholderPage, renderOrPlaceholder };
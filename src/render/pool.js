@@ -0,0 +1,246 @@
+/**
+ * Render resources across a pool of worker processes.
+ * @module render/pool
+ */
+import { fork } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { isObject } from '../utils/object';
+import { emit } from '../utils/reporter';
+import DrizzleError from '../utils/error';
+
+/**
+ * Keys of options that are not sent to workers: workers set up their own
+ * templating, and don't write. @see render/worker
+ */
+const localOptions = ['engines', 'handlebars', 'plugins', 'reporter',
+  'writer'];
+
+/**
+ * Whether this Node.js can send values to workers with structured clone
+ * (`serialization: 'advanced'`, added in Node 12.16), which keeps Dates,
+ * RegExps and shared references in drizzleData intact.
+ */
+const nodeVersion = process.versions.node.split('.').map(Number);
+const advancedSerialization = nodeVersion[0] > 12 ||
+  (nodeVersion[0] === 12 && nodeVersion[1] >= 16);
+
+/**
+ * Copy `value`, leaving out functions, so it can be sent to a worker.
+ *
+ * @param {Mixed} value
+ * @return {Mixed}
+ */
+function withoutFunctions (value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item !== 'function')
+      .map(withoutFunctions);
+  }
+  if (isObject(value) && !(value instanceof RegExp) &&
+    !(value instanceof Date)) {
+    const copy = {};
+    for (const key in value) {
+      if (typeof value[key] !== 'function') {
+        copy[key] = withoutFunctions(value[key]);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Options to send to workers.
+ * @param {Object} options
+ * @return {Object}
+ */
+function workerOptions (options) {
+  const sendable = {};
+  for (const key in options) {
+    if (localOptions.indexOf(key) === -1) {
+      sendable[key] = withoutFunctions(options[key]);
+    }
+  }
+  return sendable;
+}
+
+/**
+ * Workers can't render builds that depend on functions in options
+ * (helpers passed as an object, helpers from plugins, precompiled partials)
+ * or on template engines other than Handlebars. Helpers from a glob are
+ * fine: workers require them themselves. Workers need Node.js 12.16 or
+ * later (@see advancedSerialization). Builds that continue past render
+ * errors (`failureMode: 'continue'`) collect them on the main thread, as
+ * do profiled builds (`debug.profile`) their timings.
+ *
+ * @param {Object} options
+ * @return {String|undefined} reason the build can't be rendered by workers
+ */
+function unsupported (options) {
+  if (!advancedSerialization) {
+    return `Node.js ${process.versions.node} can't send builds to workers
+(12.16 or later is needed)`;
+  }
+  if (options.failureMode === 'continue') {
+    return '`failureMode` is \'continue\'';
+  }
+  if (options.debug.profile) {
+    return '`debug.profile` is set';
+  }
+  if (Object.keys(options.engines).some(key => key !== 'handlebars')) {
+    return 'template engines other than Handlebars are in use';
+  }
+  if (isObject(options.helpers) && Object.keys(options.helpers).length) {
+    return '`helpers` is an object (use a glob instead)';
+  }
+  if (options.plugins.some(plugin => plugin.helpers)) {
+    return 'plugins provide helpers';
+  }
+  const partials = options.handlebars.partials;
+  if (Object.keys(partials).some(key => typeof partials[key] !== 'string')) {
+    return 'some partials are precompiled';
+  }
+  return undefined;
+}
+
+/**
+ * How many workers to use: `options.workers` if it is a number, otherwise
+ * one per CPU.
+ * @param {Object} options
+ * @return {Number}
+ */
+function workerCount (options) {
+  return (typeof options.workers === 'number') ?
+    Math.max(1, options.workers) : Math.max(1, os.cpus().length);
+}
+
+/**
+ * Start a worker process.
+ *
+ * @param {Object} options
+ * @return {Object} worker with `send(message)` returning a Promise resolving
+ *                  to the worker's results, and `close()`
+ */
+function startWorker (options) {
+  const child = fork(path.join(__dirname, 'worker.js'), [], {
+    serialization: 'advanced'
+  });
+  let pending;
+  const settle = (outcome, value) => {
+    const settling = pending;
+    pending = undefined;
+    settling[outcome](value);
+  };
+  child.on('message', message => {
+    if (message.type === 'log') {
+      options.debug.logFn(message.message);
+    } else if (message.type === 'done') {
+      settle('resolve', message.results);
+    } else {
+      settle('reject', new DrizzleError(message.message, message.level));
+    }
+  });
+  // A worker that exits with work outstanding—crashing, or killed by a
+  // signal (when `code` is null)—fails it
+  child.on('exit', (code, signal) => {
+    if (pending) {
+      settle('reject', new DrizzleError(`Render worker exited with ${
+        signal ? `signal ${signal}` : `code ${code}`}`,
+        DrizzleError.LEVELS.ERROR));
+    }
+  });
+  return {
+    send: message => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      child.send(message);
+    }),
+    close: () => child.connected && child.disconnect()
+  };
+}
+
+/**
+ * Split `ids` among workers, render them, and set the rendered contents on
+ * each resource with `assign`, emitting `resource:rendered` for each
+ * (@see utils/reporter).
+ *
+ * @param {Array} workers
+ * @param {Object} drizzleData
+ * @param {Array} resources
+ * @param {Function} assign   Receives resource and rendered contents
+ * @return {Promise}
+ */
+function renderPhase (workers, drizzleData, resources, assign) {
+  const snapshot = {
+    data: drizzleData.data,
+    pages: drizzleData.pages,
+    patterns: drizzleData.patterns,
+    templates: drizzleData.templates,
+    tree: drizzleData.tree
+  };
+  const byId = {};
+  resources.forEach(resource => byId[resource.id] = resource);
+  return Promise.all(workers.map((worker, index) => {
+    const ids = resources.filter((resource, i) =>
+      i % workers.length === index).map(resource => resource.id);
+    if (!ids.length) {
+      return Promise.resolve();
+    }
+    return worker.send({ type: 'render', drizzleData: snapshot, ids })
+      .then(results => results.forEach(result => {
+        const resource = byId[result.id];
+        assign(resource, result.contents);
+        emit(drizzleData.options, 'resource:rendered', {
+          id: resource.id,
+          resourceType: resource.resourceType,
+          path: resource.path,
+          bytes: Buffer.byteLength(result.contents || ''),
+          failed: false
+        });
+      }));
+  }));
+}
+
+/**
+ * Render pages, then collections and pattern preview pages, across a pool of
+ * worker processes. Resources are mutated as in the serial renderer. Pages
+ * are rendered from a snapshot taken before any page is rendered, and
+ * collections and pattern pages from one taken after all pages are rendered.
+ *
+ * If the build can't be rendered by workers (@see unsupported), this
+ * resolves to `false` after a warning, and nothing is rendered.
+ *
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to `true` once everything is rendered
+ */
+function renderWithWorkers (drizzleData) {
+  const options = drizzleData.options;
+  const reason = unsupported(options);
+  if (reason) {
+    DrizzleError.error(new DrizzleError(`Rendering without workers:
+${reason}`, DrizzleError.LEVELS.WARN), options.debug);
+    return Promise.resolve(false);
+  }
+  const partials = Object.assign({}, options.handlebars.partials);
+  const workers = Array.from({ length: workerCount(options) },
+    () => startWorker(options));
+  const close = () => workers.forEach(worker => worker.close());
+  const setup = { type: 'setup', options: workerOptions(options), partials };
+  const setContents = (resource, contents) => resource.contents = contents;
+  return Promise.all(workers.map(worker => worker.send(setup)))
+    .then(() => renderPhase(workers, drizzleData, drizzleData.tree.pages,
+      setContents))
+    .then(() => renderPhase(workers, drizzleData,
+      drizzleData.tree.collections, setContents))
+    .then(() => options.layouts.pattern && renderPhase(workers, drizzleData,
+      drizzleData.tree.patterns,
+      (pattern, contents) => pattern.preview = contents))
+    .then(() => {
+      close();
+      return true;
+    }, error => {
+      close();
+      throw error;
+    });
+}
+
+export default renderWithWorkers;
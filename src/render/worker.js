@@ -0,0 +1,72 @@
+/**
+ * Worker process for the worker-pool renderer. Receives options, partials
+ * and a snapshot of drizzleData from the main process and renders resources
+ * by ID with the same functions the serial renderer uses. @see render/pool
+ * @module render/worker
+ */
+import Handlebars from 'handlebars';
+import handlebarsEngine from '../engines/handlebars';
+import prepareHelpers from '../prepare/helpers';
+import renderPage from './page';
+import renderCollection from './collection';
+import renderPatternPage from './pattern';
+import { isPage, isPattern } from '../utils/shared';
+import DrizzleError from '../utils/error';
+
+let options;
+
+/**
+ * Set up templating: register drizzle's and glob-based helpers, and the
+ * partials registered in the main process.
+ *
+ * @param {Object} message  { options, partials }
+ * @return {Promise}
+ */
+function setup (message) {
+  options = message.options;
+  options.debug.logFn = msg => process.send({ type: 'log', message: msg });
+  options.handlebars = Handlebars.create();
+  options.engines = { handlebars: handlebarsEngine(options) };
+  options.plugins = [];
+  for (const partialKey in message.partials) {
+    options.handlebars.registerPartial(partialKey,
+      message.partials[partialKey]);
+  }
+  return prepareHelpers(options);
+}
+
+/**
+ * Render resources by ID.
+ *
+ * @param {Object} message  { drizzleData, ids }
+ * @return {Array} of { id, contents }
+ */
+function render (message) {
+  const drizzleData = Object.assign(message.drizzleData, { options });
+  const resources = {};
+  drizzleData.tree.pages.concat(drizzleData.tree.collections,
+    drizzleData.tree.patterns).forEach(resource => {
+      resources[resource.id] = resource;
+    });
+  return message.ids.map(id => {
+    const resource = resources[id];
+    if (isPage(resource)) {
+      return { id, contents: renderPage(resource, drizzleData) };
+    }
+    if (isPattern(resource)) {
+      return { id, contents: renderPatternPage(resource, drizzleData) };
+    }
+    return { id, contents: renderCollection(resource, drizzleData) };
+  });
+}
+
+process.on('message', message => {
+  Promise.resolve().then(() => (message.type === 'setup') ?
+    setup(message).then(() => null) : render(message)
+  ).then(results => process.send({ type: 'done', results }),
+    error => process.send({
+      type: 'error',
+      message: error.message,
+      level: error.level || DrizzleError.LEVELS.ERROR
+    }));
+});
@@ -0,0 +1,184 @@
+/**
+ * Declared shape of drizzle options, used to validate merged options.
+ * @see utils/validate
+ *
+ * Each entry describes one option:
+ * - `type`: one of 'array', 'boolean', 'function', 'glob', 'number',
+ *   'object', 'regexp', 'string', or an Array of these
+ * - `properties`: for objects with known keys; any other key is flagged
+ *   as unknown unless `open` is set
+ * - `values`: for objects with arbitrary keys, the schema of every value
+ * - `items`: for arrays, the schema of every item
+ * - `directory`: the value is a path to a directory that should exist
+ */
+
+const string = { type: 'string' };
+
+const resourceKeys = {
+  type: 'object',
+  properties: {
+    singular: string,
+    plural: string
+  }
+};
+
+const src = {
+  type: 'object',
+  properties: {
+    basedir: { type: 'string', directory: true },
+    glob: { type: 'glob' }
+  }
+};
+
+const parser = {
+  type: 'object',
+  open: true,
+  properties: {
+    parseFn: { type: 'function' },
+    pattern: { type: ['string', 'regexp'] }
+  }
+};
+
+const hook = { type: 'function' };
+
+const plugin = {
+  type: 'object',
+  open: true,
+  properties: {
+    name: string,
+    helpers: { type: 'object' },
+    parsers: { type: 'object', values: parser },
+    partials: { type: 'object', values: string },
+    afterInit: hook,
+    afterPrepare: hook,
+    afterParse: hook,
+    beforeRender: hook,
+    afterRenderResource: hook,
+    beforeWrite: hook,
+    afterBuild: hook
+  }
+};
+
+const engine = {
+  type: 'object',
+  open: true,
+  properties: {
+    name: string,
+    pattern: { type: ['string', 'regexp'] },
+    compile: { type: 'function' },
+    compileOptions: { type: 'object' },
+    hasPartial: { type: 'function' },
+    partial: { type: 'function' },
+    registerPartial: { type: 'function' },
+    unregisterPartial: { type: 'function' },
+    registerHelper: { type: 'function' },
+    unregisterHelper: { type: 'function' },
+    wrapWithLayout: { type: 'function' }
+  }
+};
+
+const writer = {
+  type: 'object',
+  open: true,
+  properties: {
+    name: string,
+    read: { type: 'function' },
+    write: { type: 'function' },
+    list: { type: 'function' },
+    remove: { type: 'function' },
+    finalize: { type: 'function' }
+  }
+};
+
+const schema = {
+  beautifier: { type: 'object' },
+  cache: { type: ['boolean', 'string'] },
+  clean: { type: 'boolean' },
+  concurrency: { type: 'number' },
+  config: { type: ['string', 'boolean'] },
+  debug: {
+    type: 'object',
+    properties: {
+      format: string,
+      level: { type: ['string', 'number'] },
+      logFn: { type: 'function' },
+      profile: { type: ['boolean', 'number'] },
+      throwThreshold: { type: ['string', 'number'] }
+    }
+  },
+  dryRun: { type: 'boolean' },
+  dest: {
+    type: 'object',
+    properties: {
+      root: string,
+      collections: string,
+      pages: string,
+      patterns: string,
+      previews: string
+    }
+  },
+  engines: {
+    type: 'object',
+    values: engine
+  },
+  failureMode: string,
+  fieldParsers: {
+    type: 'object',
+    values: string
+  },
+  handlebars: { type: 'object' },
+  helpers: { type: ['object', 'glob'] },
+  keys: {
+    type: 'object',
+    properties: {
+      collections: resourceKeys,
+      data: resourceKeys,
+      pages: resourceKeys,
+      patterns: resourceKeys,
+      templates: resourceKeys
+    }
+  },
+  layouts: {
+    type: 'object',
+    properties: {
+      page: string,
+      collection: string,
+      pattern: string
+    }
+  },
+  manifest: { type: 'boolean' },
+  parsers: {
+    type: 'object',
+    values: parser
+  },
+  plugins: {
+    type: 'array',
+    items: plugin
+  },
+  reporter: {
+    type: 'object',
+    open: true,
+    properties: { emit: { type: 'function' } }
+  },
+  serve: {
+    type: 'object',
+    properties: {
+      host: string,
+      livereload: { type: 'boolean' },
+      port: { type: 'number' }
+    }
+  },
+  src: {
+    type: 'object',
+    properties: {
+      data: src,
+      pages: src,
+      patterns: src,
+      templates: src
+    }
+  },
+  workers: { type: ['boolean', 'number'] },
+  writer: writer
+};
+
+export default schema;
@@ -0,0 +1,176 @@
+/**
+ * Serve module.
+ * @module serve
+ */
+import { EventEmitter } from 'events';
+import { readFile as readFileCB, stat as statCB } from 'fs';
+import http from 'http';
+import path from 'path';
+import Promise from 'bluebird';
+import WebSocket, { Server as SocketServer } from 'ws';
+
+import watch from '../watch/';
+import { injectClient, socketPath } from './livereload';
+
+const readFile = Promise.promisify(readFileCB);
+const stat = Promise.promisify(statCB);
+
+const contentTypes = {
+  '.css' : 'text/css',
+  '.gif' : 'image/gif',
+  '.html': 'text/html; charset=utf-8',
+  '.jpg' : 'image/jpeg',
+  '.js'  : 'application/javascript',
+  '.json': 'application/json',
+  '.png' : 'image/png',
+  '.svg' : 'image/svg+xml',
+  '.txt' : 'text/plain; charset=utf-8'
+};
+
+/**
+ * Resolve a request URL to a file under `root`. Directories resolve to
+ * their `index.html`. Requests that would escape `root` resolve to nothing;
+ * malformed URLs reject with a URIError.
+ *
+ * @param {String} url    Request URL
+ * @param {String} root   Absolute path to serve from
+ * @return {Promise} resolving to {String} path to the file or `undefined`
+ */
+function resolveFile (url, root) {
+  return Promise.try(() => path.join(root,
+    decodeURIComponent(url.split(/[?#]/)[0]))).then(filepath => {
+      if (filepath !== root && filepath.indexOf(root + path.sep) !== 0) {
+        return undefined;
+      }
+      return stat(filepath).then(stats => {
+        return stats.isDirectory() ?
+          path.join(filepath, 'index.html') : filepath;
+      }).catch(() => undefined);
+    });
+}
+
+/**
+ * Respond to a request with a file from `root`, adding the live-reload
+ * client to HTML files if `livereload` is set. Malformed URLs get a 400
+ * response, missing files a 404.
+ *
+ * @param {Object} request
+ * @param {Object} response
+ * @param {String} root
+ * @param {Boolean} livereload
+ * @return {Promise}
+ */
+function respond (request, response, root, livereload) {
+  return resolveFile(request.url, root)
+    .then(filepath => filepath && readFile(filepath).then(contents => {
+      const extension = path.extname(filepath);
+      if (livereload && extension === '.html') {
+        contents = injectClient(contents.toString());
+      }
+      response.writeHead(200, {
+        'Content-Type': contentTypes[extension] || 'application/octet-stream'
+      });
+      response.end(contents);
+      return 200;
+    }))
+    .then(status => status || 404,
+      error => (error instanceof URIError) ? 400 : 404)
+    .then(status => {
+      if (status !== 200) {
+        response.writeHead(status, { 'Content-Type': 'text/plain' });
+        response.end((status === 400) ? 'Bad request' : 'Not found');
+      }
+    });
+}
+
+/**
+ * Build and watch the drizzle (@see watch) and serve `options.dest.root`
+ * over HTTP. Served HTML pages get a small client script that reloads them
+ * when a rebuild finishes (unless `options.serve.livereload` is false).
+ *
+ * Server settings come from `options.serve` (`host`, `port`, `livereload`).
+ *
+ * The returned server re-emits the watcher's events (`build`, `ready`,
+ * `rebuild`, `error`) and also emits `listening` with the server's URL.
+ * Errors from the HTTP and live-reload servers (e.g. the port being in use)
+ * are emitted as `error`, too, or logged if nothing listens for them.
+ *
+ * @param {Object} options   User options for the build
+ * @return {EventEmitter} with a `close` method to stop serving and watching
+ */
+function serve (options) {
+  const server = new EventEmitter();
+  const watcher = watch(options);
+  let httpServer;
+  let socketServer;
+
+  // Sockets that are connecting or closing can't be sent to
+  const broadcast = message => {
+    if (socketServer) {
+      socketServer.clients
+        .filter(socket => socket.readyState === WebSocket.OPEN)
+        .forEach(socket => socket.send(message));
+    }
+  };
+
+  let logFn = console.log;
+
+  const onError = error => {
+    if (server.listeners('error').length) {
+      server.emit('error', error);
+    } else {
+      logFn(error.message);
+    }
+  };
+
+  ['ready', 'rebuild'].forEach(eventName => {
+    watcher.on(eventName, payload => server.emit(eventName, payload));
+  });
+
+  watcher.on('error', onError);
+
+  watcher.on('build', drizzleData => {
+    const opts = drizzleData.options;
+    const root = path.resolve(opts.dest.root);
+    logFn = opts.debug.logFn;
+    server.emit('build', drizzleData);
+    httpServer = http.createServer((request, response) => {
+      respond(request, response, root, opts.serve.livereload);
+    });
+    if (opts.serve.livereload) {
+      // The socket server re-emits the HTTP server's errors
+      socketServer = new SocketServer({
+        server: httpServer,
+        path: socketPath
+      });
+      socketServer.on('error', onError);
+    } else {
+      httpServer.on('error', onError);
+    }
+    httpServer.listen(opts.serve.port, opts.serve.host, () => {
+      const address = httpServer.address();
+      server.emit('listening', `http://${opts.serve.host}:${address.port}/`);
+    });
+  });
+
+  watcher.on('rebuild', result => {
+    broadcast(JSON.stringify({
+      type: 'reload',
+      resources: result.resources
+    }));
+  });
+
+  server.close = () => {
+    if (socketServer) {
+      socketServer.close();
+    }
+    if (httpServer) {
+      httpServer.close();
+    }
+    return watcher.close();
+  };
+
+  return server;
+}
+
+export default serve;
@@ -0,0 +1,43 @@
+/**
+ * Live-reload client and its injection into served HTML.
+ * @module serve/livereload
+ */
+
+/**
+ * Path the live-reload websocket is served at.
+ */
+const socketPath = '/__drizzle/livereload';
+
+/**
+ * Browser-side client: reload the page whenever the server announces a
+ * finished rebuild. Kept ES5 as it runs as-is in the browser.
+ */
+const client = `<script>
+(function () {
+  var protocol = (location.protocol === 'https:') ? 'wss://' : 'ws://';
+  var socket = new WebSocket(protocol + location.host + '${socketPath}');
+  socket.onmessage = function (event) {
+    var message = JSON.parse(event.data);
+    if (message.type === 'reload') {
+      location.reload();
+    }
+  };
+})();
+</script>`;
+
+/**
+ * Add the live-reload client to an HTML document, just before `</body>` or,
+ * lacking that, at the end.
+ *
+ * @param {String} html
+ * @return {String}
+ */
+function injectClient (html) {
+  const bodyEnd = html.lastIndexOf('</body>');
+  if (bodyEnd === -1) {
+    return html + client;
+  }
+  return html.slice(0, bodyEnd) + client + html.slice(bodyEnd);
+}
+
+export { client, injectClient, socketPath };
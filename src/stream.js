@@ -0,0 +1,93 @@
+/**
+ * Object-stream output, for stream-based build tools (e.g. gulp).
+ * @module stream
+ */
+import path from 'path';
+import { Readable } from 'stream';
+import Vinyl from 'vinyl';
+
+import { parseStages, renderStages } from './pipeline';
+import { runResourceHooks } from './utils/plugins';
+import { isPattern, resourceDest, resourcePath } from './utils/shared';
+
+/**
+ * Output path prefix for a resource: where the writers would write it.
+ * @param {Object} resource
+ * @param {Object} options
+ * @return {String}
+ */
+function resourceOutputDest (resource, options) {
+  return resourceDest(Object.keys(options.keys).find(
+    key => options.keys[key].singular === resource.resourceType), options);
+}
+
+/**
+ * A Vinyl file for a rendered resource: what `writePage` would write, where
+ * it would write it, plus resource metadata.
+ *
+ * @param {Object} resource    Rendered page, collection or pattern
+ * @param {Object} options
+ * @return {Vinyl} with `cwd`, `base`, `path`, `contents` (Buffer) and the
+ *                 resource's `id`, `resourceType` and `data`
+ */
+function resourceFile (resource, options) {
+  const cwd = process.cwd();
+  const contents = isPattern(resource) ? resource.preview : resource.contents;
+  const file = new Vinyl({
+    cwd: cwd,
+    base: path.resolve(cwd, options.dest.root),
+    path: path.resolve(cwd,
+      resourcePath(resource.id, resourceOutputDest(resource, options))),
+    contents: Buffer.from(contents || '')
+  });
+  file.id = resource.id;
+  file.resourceType = resource.resourceType;
+  file.data = resource.data;
+  return file;
+}
+
+/**
+ * Build the drizzle up to, but not including, writing; instead, stream
+ * rendered pages, collection pages and (if `layouts.pattern` is set)
+ * pattern preview pages as Vinyl files
+ * (@see resourceFile). The `beforeWrite` plugin hook is run on each page
+ * and collection before it is streamed; `afterBuild` is not run.
+ *
+ * @param {Object} options   User options for the build
+ * @return {Readable} object stream, emitting `error` if the build fails
+ */
+function stream (options) {
+  let files;
+  const readable = new Readable({
+    objectMode: true,
+    read () {
+      if (files) {
+        pushFiles();
+      }
+    }
+  });
+  // Push files until the consumer wants no more for now
+  const pushFiles = () => {
+    while (files.length) {
+      if (!readable.push(files.shift())) {
+        return;
+      }
+    }
+    readable.push(null);
+  };
+
+  parseStages(options)
+    .then(renderStages)
+    .then(renderedData => runResourceHooks('beforeWrite', renderedData))
+    .then(drizzleData => {
+      const { options: opts, tree } = drizzleData;
+      files = tree.pages.concat(tree.collections,
+        (opts.layouts.pattern) ? tree.patterns : [])
+        .map(resource => resourceFile(resource, opts));
+      pushFiles();
+    }, error => readable.emit('error', error));
+
+  return readable;
+}
+
+export default stream;
@@ -0,0 +1,136 @@
+/**
+ * On-disk cache of file parse results. Each source file has one cache entry,
+ * named for a hash of its path. An entry is used only if the file's mtime and
+ * size, and the identity of the parser that would parse it, are unchanged.
+ * @module utils/cache
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { createHash } from 'crypto';
+import { readdir as readdirCB,
+         readFile as readFileCB,
+         rmdir as rmdirCB,
+         stat as statCB,
+         unlink as unlinkCB,
+         writeFile as writeFileCB } from 'fs';
+import { mkdirp as mkdirpCB } from 'mkdirp';
+var readdir = Promise.promisify(readdirCB);
+var readFile = Promise.promisify(readFileCB);
+var rmdir = Promise.promisify(rmdirCB);
+var stat = Promise.promisify(statCB);
+var unlink = Promise.promisify(unlinkCB);
+var writeFile = Promise.promisify(writeFileCB);
+var mkdirp = Promise.promisify(mkdirpCB);
+
+const defaultDir = '.drizzle-cache';
+
+/**
+ * SHA-1 hex digest of `str`
+ * @param {String} str
+ * @return {String}
+ */
+const digest = str => createHash('sha1').update(str).digest('hex');
+
+/**
+ * The cache directory for a `cache` option value: a path, or
+ * `.drizzle-cache` in the working directory.
+ *
+ * @param {Boolean|String} cache
+ * @return {String} absolute path
+ */
+function cacheDir (cache) {
+  return path.resolve((typeof cache === 'string') ? cache : defaultDir);
+}
+
+/**
+ * JSON.stringify replacer that keeps Dates (e.g. from YAML) recognizable.
+ * `this[key]` is the value before `Date.prototype.toJSON` is applied.
+ */
+function replacer (key, value) {
+  return (this[key] instanceof Date) ? { $date: value } : value;
+}
+
+function reviver (key, value) {
+  return (value && typeof value === 'object' &&
+    Object.keys(value).length === 1 && value.hasOwnProperty('$date')) ?
+    new Date(value.$date) : value;
+}
+
+/**
+ * An identity for a parser, which changes if the parser does.
+ *
+ * @param {String} parserKey   Key of the parser in `options.parsers`
+ * @param {Function} parseFn
+ * @param {String} encoding
+ * @return {String}
+ */
+function parserIdentity (parserKey, parseFn, encoding) {
+  return `${parserKey}:${encoding}:${digest(parseFn.toString())}`;
+}
+
+/**
+ * Resolve with a file's parse result from the cache if the file and its
+ * parser haven't changed; otherwise run `parseFile` and cache its result.
+ * Cache read and write failures are not errors: the file is parsed.
+ *
+ * @param {String} filepath
+ * @param {String} parser      @see parserIdentity
+ * @param {Boolean|String} cache  The `cache` option
+ * @param {Function} parseFile Returns a Promise resolving to parse result
+ * @param {Boolean} readOnly   Don't write new entries (e.g. in a dry run)
+ * @return {Promise} resolving to parse result
+ */
+function cachedParse (filepath, parser, cache, parseFile, readOnly = false) {
+  const entryPath = path.join(cacheDir(cache),
+    `${digest(path.resolve(filepath))}.json`);
+  return stat(filepath).then(stats => {
+    const meta = {
+      path: path.resolve(filepath),
+      mtime: stats.mtime.getTime(),
+      size: stats.size,
+      parser: parser
+    };
+    const isCurrent = entry => Object.keys(meta).every(key =>
+      entry.meta[key] === meta[key]);
+    return readFile(entryPath, 'utf-8')
+      .then(entryData => JSON.parse(entryData, reviver))
+      .catch(() => ({ meta: {} }))
+      .then(entry => {
+        if (isCurrent(entry)) {
+          return entry.data;
+        }
+        if (readOnly) {
+          return parseFile();
+        }
+        return parseFile().then(data => mkdirp(path.dirname(entryPath))
+          .then(() => writeFile(entryPath,
+            JSON.stringify({ meta, data }, replacer)))
+          .catch(() => undefined)
+          .then(() => data));
+      });
+  });
+}
+
+/**
+ * Remove the cache directory and its entries.
+ *
+ * @param {Object} options   Drizzle options; uses `cache` to find the
+ *                           cache directory
+ * @return {Promise}
+ */
+function clearCache (options = {}) {
+  const dir = cacheDir(options.cache);
+  return readdir(dir).then(entries => Promise.all(entries.map(entry =>
+    unlink(path.join(dir, entry))
+  ))).then(() => rmdir(dir), error => {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  });
+}
+
+export { cacheDir,
+         cachedParse,
+         clearCache,
+         parserIdentity
+       };
@@ -0,0 +1,220 @@
+/**
+ * Discover and load configuration files.
+ * @module utils/config
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { readFile as readFileCB, stat as statCB } from 'fs';
+import yaml from 'js-yaml';
+import deepExtend from 'deep-extend';
+import DrizzleError from './error';
+import { isGlob } from './parse';
+
+const readFile = Promise.promisify(readFileCB);
+const stat = Promise.promisify(statCB);
+
+/**
+ * Functions to read config files into options objects, by extension.
+ */
+const loaders = {
+  '.js': filepath => require(filepath),
+  '.json': filepath => readFile(filepath, 'utf-8').then(JSON.parse),
+  '.yaml': filepath => readFile(filepath, 'utf-8').then(yaml.safeLoad),
+  '.yml': filepath => readFile(filepath, 'utf-8').then(yaml.safeLoad)
+};
+
+/**
+ * Config filenames, in order of precedence within a single directory.
+ * A `package.json` only counts if it has a `drizzle` property.
+ */
+const configFilenames = [
+  'drizzle.config.js',
+  '.drizzlerc.yml',
+  '.drizzlerc.yaml',
+  '.drizzlerc.json',
+  'package.json'
+];
+
+const isFile = filepath => stat(filepath)
+  .then(stats => stats.isFile(), () => false);
+
+/**
+ * Does the `package.json` at `filepath` have a `drizzle` property? A
+ * `package.json` that can't be read or parsed has none: it isn't drizzle's
+ * to complain about.
+ *
+ * @param {String} filepath
+ * @return {Promise} resolving to {Boolean}
+ */
+const hasDrizzleProperty = filepath => readFile(filepath, 'utf-8')
+  .then(JSON.parse)
+  .then(pkg => !!pkg && pkg.hasOwnProperty('drizzle'), () => false);
+
+/**
+ * Find the first config file in `dir`. Config files are only checked for
+ * existence (and `package.json` for a `drizzle` property); they are loaded,
+ * and any errors in them reported, by `loadConfig`.
+ *
+ * @param {String} dir
+ * @param {Number} index  Index into `configFilenames`, for recursion
+ * @return {Promise} resolving to {String} path to config file, or undefined
+ */
+function configFileIn (dir, index = 0) {
+  if (index >= configFilenames.length) {
+    return Promise.resolve();
+  }
+  const filepath = path.join(dir, configFilenames[index]);
+  return isFile(filepath).then(exists => {
+    if (!exists) {
+      return configFileIn(dir, index + 1);
+    }
+    if (path.basename(filepath) !== 'package.json') {
+      return filepath;
+    }
+    return hasDrizzleProperty(filepath).then(hasConfig => {
+      return (hasConfig) ? filepath : configFileIn(dir, index + 1);
+    });
+  });
+}
+
+/**
+ * Search for a config file in `dir`, then each of its ancestors. Within a
+ * directory, `drizzle.config.js` is preferred, then `.drizzlerc.yml`
+ * (or `.yaml`), then `.drizzlerc.json`, then a `drizzle` property in
+ * `package.json`.
+ *
+ * @param {String} dir    Directory to start searching from
+ * @return {Promise} resolving to {String} path to config file, or undefined
+ */
+function findConfig (dir = process.cwd()) {
+  dir = path.resolve(dir);
+  return configFileIn(dir).then(filepath => {
+    const parentDir = path.dirname(dir);
+    if (filepath || parentDir === dir) {
+      return filepath;
+    }
+    return findConfig(parentDir);
+  });
+}
+
+/**
+ * Read a config file into an (unresolved) options object.
+ *
+ * @param {String} filepath
+ * @return {Promise} resolving to {Object} options, or undefined
+ */
+function loadConfigFile (filepath) {
+  const load = loaders[path.extname(filepath)] || loaders['.json'];
+  return Promise.try(() => load(filepath)).then(config => {
+    return (path.basename(filepath) === 'package.json') ?
+      config.drizzle : config;
+  });
+}
+
+/**
+ * Resolve a glob relative to `dir`. Handles Arrays and negated globs.
+ *
+ * @param {String|Array} glob
+ * @param {String} dir
+ * @return {String|Array}
+ */
+function resolveGlob (glob, dir) {
+  if (Array.isArray(glob)) {
+    return glob.map(globEl => resolveGlob(globEl, dir));
+  }
+  if (glob.charAt(0) === '!') {
+    return '!' + resolveGlob(glob.slice(1), dir);
+  }
+  return path.resolve(dir, glob);
+}
+
+/**
+ * Make the paths in config file options absolute, relative to the
+ * directory the config file is in: `src` globs and basedirs, `dest` paths
+ * and `helpers`, if it is a glob. Mutates `config`.
+ *
+ * @param {Object} config   Options from a config file
+ * @param {String} dir      Directory containing the config file
+ * @return {Object} config
+ */
+function resolveConfigPaths (config, dir) {
+  for (const srcKey in config.src) {
+    const src = config.src[srcKey];
+    if (isGlob(src.glob)) {
+      src.glob = resolveGlob(src.glob, dir);
+    }
+    if (typeof src.basedir === 'string') {
+      src.basedir = path.resolve(dir, src.basedir);
+    }
+  }
+  for (const destKey in config.dest) {
+    if (typeof config.dest[destKey] === 'string') {
+      config.dest[destKey] = path.resolve(dir, config.dest[destKey]);
+    }
+  }
+  if (isGlob(config.helpers)) {
+    config.helpers = resolveGlob(config.helpers, dir);
+  }
+  return config;
+}
+
+/**
+ * Copy config file options so that their paths can be resolved without
+ * mutating the loaded (possibly `require`-cached) config: `src` and `dest`
+ * are deep-copied; everything else (e.g. plugins, engines, the writer and
+ * the reporter) is kept by reference. @see init
+ *
+ * @param {Object} fileOptions
+ * @return {Object}
+ */
+function copyConfig (fileOptions) {
+  const copy = Object.assign({}, fileOptions);
+  ['src', 'dest'].forEach(key => {
+    if (fileOptions[key]) {
+      copy[key] = deepExtend({}, fileOptions[key]);
+    }
+  });
+  return copy;
+}
+
+/**
+ * Load options from a config file, with paths resolved relative to it.
+ * `config` can be:
+ * - a path to a config file
+ * - `false`, to not use a config file at all
+ * - `undefined`, to search for one from the working directory upward
+ *
+ * @param {String|Boolean} config
+ * @param {Object} debugOpts   `options.debug`, for reporting load errors
+ * @return {Promise} resolving to {Object} options (empty if no config file,
+ *                   or if it couldn't be loaded and that isn't fatal)
+ */
+function loadConfig (config, debugOpts) {
+  if (config === false) {
+    return Promise.resolve({});
+  }
+  const configPath = (typeof config === 'string') ?
+    Promise.resolve(path.resolve(config)) :
+    findConfig();
+  return configPath.then(filepath => {
+    if (!filepath) {
+      return {};
+    }
+    return loadConfigFile(filepath).then(fileOptions => {
+      return resolveConfigPaths(copyConfig(fileOptions || {}),
+        path.dirname(filepath));
+    }, error => {
+      DrizzleError.error(new DrizzleError(
+        `Could not load config file '${filepath}': ${error.message}`,
+        DrizzleError.LEVELS.ERROR, { stage: 'init', path: filepath }),
+        debugOpts);
+      return {};
+    });
+  });
+}
+
+export { findConfig,
+         loadConfig,
+         loadConfigFile,
+         resolveConfigPaths
+       };
@@ -1,5 +1,5 @@
 import { deepCollection } from './object'; // TODO NOPE
-import { resourcePath } from './shared';
+import { resourceDest, resourcePath } from './shared';
 import path from 'path';
 import { pathSatisfies, is } from 'ramda';
 
@@ -25,11 +25,12 @@ import { pathSatisfies, is } from 'ramda';
 function getBaseUrl (resource, drizzleData) {
   const options = drizzleData.options;
   const destRoot = options.dest.root;
-  const destResource = options.dest[
+  const destResource = resourceDest(
     Object.keys(options.keys).find(
       key => options.keys[key].singular === resource.resourceType
-    )
-  ];
+    ),
+    options
+  );
 
   const baseurl = path.relative(
     path.dirname(resourcePath(resource.id, destResource)),
@@ -1,6 +1,18 @@
-function DrizzleError (message, level) {
+import { createLogger, LEVELS } from './logger';
+
+/**
+ * Drizzle's error type.
+ *
+ * @param {String} message
+ * @param {Number} level     One of DrizzleError.LEVELS. Defaults to WARN
+ * @param {Object} context   Where it happened (all optional): `stage`, `id`
+ *                           (resource ID), `path` (source file), `line`,
+ *                           `column` and `frame` (code frame excerpt)
+ */
+function DrizzleError (message, level, context = {}) {
   this.message = message;
   this.level = level || DrizzleError.LEVELS.WARN;
+  this.context = context;
   this.stack = (new Error()).stack;
 }
 
@@ -8,27 +20,27 @@ DrizzleError.prototype = Object.create(Error.prototype);
 
 /**
  * This static method allows DrizzleError to handle things that may not
- * be DrizzleErrors yet (e.g. they're Errors).
+ * be DrizzleErrors yet (e.g. they're Errors): throw the error if it is at
+ * or above the throw threshold, otherwise log it. @see utils/logger
+ *
+ * @param {DrizzleError|Error|String} error
+ * @param {Object} debugOpts   `options.debug`
+ * @param {Object} context     Context fields to add, if not already set
+ *                             (e.g. `{ stage: 'parse' }`)
  */
-DrizzleError.error = function (error, options = {}) {
-  options = Object.assign({
-    logFn: console.log,
-    throwThreshold: (process.env.DRIZZLE_DEBUG) ? 0 : DrizzleError.LEVELS.ERROR
-  }, options || {});
+DrizzleError.error = function (error, debugOpts = {}, context = {}) {
   if (!(error instanceof DrizzleError)) {
-    error = new DrizzleError(error, DrizzleError.LEVELS.ERROR);
+    const wrapped = new DrizzleError((error instanceof Error) ?
+      error.message : error, DrizzleError.LEVELS.ERROR);
+    if (error instanceof Error) {
+      wrapped.stack = error.stack;
+    }
+    error = wrapped;
   }
-  if (error.level >= options.throwThreshold) {
-    throw error;
-  }
-  options.logFn(error.message);
+  error.context = Object.assign({}, context, error.context);
+  createLogger(debugOpts).report(error);
 };
 
-DrizzleError.LEVELS = {
-  NOTICE: 1,
-  WARN: 2,
-  ERROR: 3,
-  FATAL: 4
-};
+DrizzleError.LEVELS = LEVELS;
 
 export default DrizzleError;
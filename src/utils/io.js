@@ -0,0 +1,92 @@
+/**
+ * Limits on file I/O: at most `options.concurrency` file reads and writes
+ * run at once, and operations that fail because too many files are open
+ * are retried with backoff.
+ * @module utils/io
+ */
+import Promise from 'bluebird';
+
+/**
+ * Error codes for running out of file descriptors (or of some other
+ * resource, temporarily). Operations failing with these are retried.
+ */
+const retryCodes = ['EMFILE', 'ENFILE', 'EAGAIN'];
+
+/**
+ * Retries after the first failure, and the delay (ms) before the first
+ * retry. The delay doubles with each retry.
+ */
+const retries = 5;
+const firstDelay = 10;
+
+/**
+ * Limiters by concurrency. They are shared by all builds in the process,
+ * which share its file descriptors.
+ */
+const limiters = new Map();
+
+/**
+ * A function that runs promise-returning tasks, at most `concurrency` at
+ * once, in the order they are given.
+ *
+ * @param {Number} concurrency
+ * @return {Function} taking a task, returning a Promise for its result
+ */
+function createLimiter (concurrency) {
+  const queue = [];
+  let active = 0;
+  const next = () => {
+    if (active >= concurrency || !queue.length) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.try(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Run `task` once fewer than `concurrency` other limited tasks are running.
+ * A `concurrency` that isn't a positive number means no limit.
+ *
+ * @param {Number} concurrency    `options.concurrency`
+ * @param {Function} task         Returns a Promise
+ * @return {Promise} for the task's result
+ */
+function limited (concurrency, task) {
+  if (!(concurrency > 0) || concurrency === Infinity) {
+    return Promise.try(task);
+  }
+  if (!limiters.has(concurrency)) {
+    limiters.set(concurrency, createLimiter(concurrency));
+  }
+  return limiters.get(concurrency)(task);
+}
+
+/**
+ * Run `operation`, retrying it with exponential backoff if it fails with
+ * EMFILE, ENFILE or EAGAIN.
+ *
+ * @param {Function} operation    Returns a Promise
+ * @param {Number} attemptsLeft
+ * @param {Number} delay          ms before the next retry
+ * @return {Promise} for the operation's result
+ */
+function retrying (operation, attemptsLeft = retries, delay = firstDelay) {
+  return Promise.try(operation).catch(error => {
+    if (attemptsLeft > 0 && error && retryCodes.indexOf(error.code) !== -1) {
+      return Promise.delay(delay).then(() =>
+        retrying(operation, attemptsLeft - 1, delay * 2));
+    }
+    throw error;
+  });
+}
+
+export { limited, retrying };
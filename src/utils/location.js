@@ -0,0 +1,209 @@
+/**
+ * Source locations (line, column, code frame) for errors in source files.
+ * @module utils/location
+ */
+import { readFileSync } from 'fs';
+import DrizzleError from './error';
+
+/**
+ * Lines of context shown before and after the error line in code frames.
+ */
+const frameContext = 2;
+
+/**
+ * 1-based line and column of character `position` in `text`.
+ *
+ * @param {String} text
+ * @param {Number} position
+ * @return {Object} `{ line, column }`
+ */
+function positionLocation (text, position) {
+  const before = text.slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * A code frame: the lines around `line`, with the line marked and (if
+ * known) a caret under `column`.
+ *
+ * @param {String} text
+ * @param {Number} line     1-based
+ * @param {Number} column   1-based (optional)
+ * @return {String}
+ */
+function codeFrame (text, line, column) {
+  const lines = text.split('\n');
+  const first = Math.max(1, line - frameContext);
+  const last = Math.min(lines.length, line + frameContext);
+  const width = String(last).length;
+  const frame = [];
+  for (var lineNumber = first; lineNumber <= last; lineNumber++) {
+    const gutter = `${(lineNumber === line) ? '>' : ' '} ${
+      `${' '.repeat(width)}${lineNumber}`.slice(-width)} |`;
+    frame.push(`${gutter} ${lines[lineNumber - 1]}`.replace(/\s+$/, ''));
+    if (lineNumber === line && column) {
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+    }
+  }
+  return frame.join('\n');
+}
+
+/**
+ * Where in `text` a parser (js-yaml, including YAML front matter, or JSON)
+ * failed.
+ *
+ * @param {Error} error
+ * @param {String} text   The whole source file
+ * @return {Object|undefined} `{ line, column }`
+ */
+function parseErrorLocation (error, text) {
+  if (error.mark && typeof error.mark.position === 'number') {
+    // js-yaml: the mark is relative to the YAML it was given, which may
+    // be front matter within `text`
+    const yamlText = (error.mark.buffer || '').replace(/\0$/, '');
+    const offset = yamlText ? text.indexOf(yamlText) : -1;
+    return (offset >= 0) ?
+      positionLocation(text, offset + error.mark.position) :
+      { line: error.mark.line + 1, column: error.mark.column + 1 };
+  }
+  const jsonPosition = /in JSON at position (\d+)/.exec(error.message);
+  if (jsonPosition) {
+    return positionLocation(text, parseInt(jsonPosition[1], 10));
+  }
+  return undefined;
+}
+
+/**
+ * Where in `template` Handlebars failed to compile or render it.
+ * Exceptions carry `lineNumber` and (0-based) `column`; parse errors only
+ * say `Parse error on line N`, with an excerpt ending at the problem.
+ *
+ * @param {Error} error
+ * @param {String} template
+ * @return {Object|undefined} `{ line, column }`
+ */
+function templateErrorLocation (error, template) {
+  if (typeof error.lineNumber === 'number') {
+    return {
+      line: error.lineNumber,
+      column: (typeof error.column === 'number') ? error.column + 1 : undefined
+    };
+  }
+  const parseError = /^Parse error on line (\d+):\n(.*)\n(-*)\^/
+    .exec(error.message || '');
+  if (!parseError) {
+    return undefined;
+  }
+  const line = parseInt(parseError[1], 10);
+  // The excerpt's input before the caret ends with the start of the line
+  const past = parseError[2].slice(0, parseError[3].length);
+  const lineText = template.split('\n')[line - 1] || '';
+  let column = lineText.length;
+  while (column > 0 && !past.endsWith(lineText.slice(0, column)) &&
+    !lineText.slice(0, column).endsWith(past)) {
+    column--;
+  }
+  return { line, column: column + 1 };
+}
+
+/**
+ * Map a location in `template`—which is (usually a part of) the source
+ * file's text, maybe wrapped (e.g. with a layout `extend`)—to the source
+ * file, by finding the erroring line in the file. Lines that aren't in the
+ * file (wrapping) map to the file's last line.
+ *
+ * @param {Object} location   `{ line, column }` in `template`
+ * @param {String} template
+ * @param {String} text       The source file
+ * @return {Object} `{ line, column }` in `text`
+ */
+function mapToSource (location, template, text) {
+  const lineText = template.split('\n')[location.line - 1];
+  const lines = text.split('\n');
+  const found = (lineText && lineText.trim()) ? lines.findIndex(
+    sourceLine => sourceLine.indexOf(lineText) !== -1) : -1;
+  if (found === -1) {
+    const lastLine = lines.length - ((lines[lines.length - 1] === '') ? 1 : 0);
+    return { line: Math.max(1, lastLine), column: undefined };
+  }
+  const shift = lines[found].indexOf(lineText);
+  return {
+    line: found + 1,
+    column: location.column && location.column + shift
+  };
+}
+
+/**
+ * Read a source file for error reporting; errors are ignored.
+ * @param {String} filepath
+ * @return {String|undefined}
+ */
+function readSource (filepath) {
+  try {
+    return readFileSync(filepath, 'utf-8');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Wrap an error from parsing a source file (YAML, front matter, JSON) in a
+ * DrizzleError with its location: `path`, `line`, `column` and `frame`.
+ *
+ * @param {Error} error
+ * @param {String} filepath
+ * @param {String} text      The file's contents
+ * @param {Object} context   More context, e.g. `{ stage: 'parse' }`
+ * @return {DrizzleError}
+ */
+function parseError (error, filepath, text, context = {}) {
+  if (error instanceof DrizzleError) {
+    error.context = Object.assign({ path: filepath }, context, error.context);
+    return error;
+  }
+  const location = parseErrorLocation(error, text);
+  const message = (error.reason) ? error.reason : error.message;
+  return new DrizzleError(`Could not parse '${filepath}': ${message}`,
+    DrizzleError.LEVELS.ERROR, Object.assign({ path: filepath }, context,
+      location, location && { frame: codeFrame(text, location.line,
+        location.column) }));
+}
+
+/**
+ * Wrap an error from compiling or rendering a template in a DrizzleError
+ * with its location in the template's source file: `path`, `line`,
+ * `column` and `frame`.
+ *
+ * @param {Error} error
+ * @param {String} filepath    Source file of the template (optional)
+ * @param {String} template    The template source
+ * @param {Object} context     More context, e.g. `{ id, stage }`
+ * @return {DrizzleError}
+ */
+function templateError (error, filepath, template, context = {}) {
+  if (error instanceof DrizzleError) {
+    error.context = Object.assign({ path: filepath }, context, error.context);
+    return error;
+  }
+  const text = (filepath && readSource(filepath)) || template;
+  let location = templateErrorLocation(error, template);
+  if (location && text !== template) {
+    location = mapToSource(location, template, text);
+  }
+  const firstLine = String(error.message).split('\n')[0];
+  return new DrizzleError(
+    `Template error${filepath ? ` in '${filepath}'` : ''}: ${
+      (location && /^Parse error/.test(firstLine)) ?
+        error.message.split('\n').pop() : error.message}`,
+    DrizzleError.LEVELS.ERROR, Object.assign({ path: filepath }, context,
+      location, location && { frame: codeFrame(text, location.line,
+        location.column) }));
+}
+
+export { codeFrame,
+         parseError,
+         parseErrorLocation,
+         positionLocation,
+         templateError,
+         templateErrorLocation
+       };
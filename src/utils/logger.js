@@ -0,0 +1,192 @@
+/**
+ * Logging for drizzle's errors and warnings, configured by `options.debug`.
+ * @module utils/logger
+ */
+import { emitLogged } from './reporter';
+
+/**
+ * Severity levels, in increasing order.
+ */
+const LEVELS = {
+  DEBUG: 0,
+  NOTICE: 1,
+  WARN: 2,
+  ERROR: 3,
+  FATAL: 4
+};
+
+/**
+ * Entries logged per level, keyed by `options.debug` object
+ * (i.e. per build). @see logCounts
+ */
+const tallies = new WeakMap();
+
+/**
+ * Context fields, in the order they are printed.
+ */
+const contextFields = ['stage', 'id', 'path', 'line', 'column'];
+
+/**
+ * Numeric value of a level given by name or number.
+ *
+ * @param {String|Number} level   e.g. 'WARN' or 2
+ * @param {Number} fallback       Used if `level` isn't a valid level
+ * @return {Number}
+ */
+function levelValue (level, fallback) {
+  if (typeof level === 'number') {
+    return level;
+  }
+  if (typeof level === 'string' && LEVELS.hasOwnProperty(level.toUpperCase())) {
+    return LEVELS[level.toUpperCase()];
+  }
+  return fallback;
+}
+
+/**
+ * @param {Number} value
+ * @return {String} name of the level, e.g. 'WARN'
+ */
+function levelName (value) {
+  return Object.keys(LEVELS).find(name => LEVELS[name] === value) ||
+    String(value);
+}
+
+/**
+ * Human-readable entry: level and message, then where it happened and a
+ * code frame, if known.
+ *
+ * @param {Object} error    With `level`, `message` and (maybe) `context`
+ * @return {String}
+ */
+function formatPretty (error) {
+  const context = error.context || {};
+  const lines = [`[${levelName(error.level)}] ${error.message}`];
+  if (context.path) {
+    const position = [context.path, context.line, context.column]
+      .filter(part => part !== undefined).join(':');
+    const about = [context.id, context.stage].filter(Boolean).join(', ');
+    lines.push(`    at ${position}${about ? ` (${about})` : ''}`);
+  } else if (context.id || context.stage) {
+    lines.push(`    in ${[context.id, context.stage].filter(Boolean)
+      .join(', ')}`);
+  }
+  if (context.frame) {
+    lines.push(context.frame);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Machine-readable entry: a single line of JSON.
+ *
+ * @param {Object} error
+ * @return {String}
+ */
+function formatJSON (error) {
+  const context = error.context || {};
+  const entry = {
+    level: levelName(error.level),
+    message: error.message
+  };
+  contextFields.concat('frame').forEach(field => {
+    if (context[field] !== undefined) {
+      entry[field] = context[field];
+    }
+  });
+  return JSON.stringify(entry);
+}
+
+const formats = {
+  json: formatJSON,
+  pretty: formatPretty
+};
+
+/**
+ * @param {Object} debugOpts
+ * @param {Number} level
+ */
+function count (debugOpts, level) {
+  if (!tallies.has(debugOpts)) {
+    tallies.set(debugOpts, {});
+  }
+  const tally = tallies.get(debugOpts);
+  tally[level] = (tally[level] || 0) + 1;
+}
+
+/**
+ * How many warnings and errors (ERROR and FATAL) have been logged with
+ * `debugOpts`, including those below the logged `level` but not thrown
+ * ones, optionally resetting the counts.
+ *
+ * @param {Object} debugOpts    `options.debug`
+ * @param {Boolean} reset
+ * @return {Object} `{ warnings, errors }`
+ */
+function logCounts (debugOpts, reset = false) {
+  const tally = tallies.get(debugOpts) || {};
+  if (reset) {
+    tallies.delete(debugOpts);
+  }
+  return {
+    warnings: tally[LEVELS.WARN] || 0,
+    errors: (tally[LEVELS.ERROR] || 0) + (tally[LEVELS.FATAL] || 0)
+  };
+}
+
+/**
+ * Create a logger from `options.debug`:
+ *  - {Function} logFn: where entries go. Defaults to `console.log`
+ *  - {String|Number} level: the lowest level that is logged. Defaults to
+ *    NOTICE (everything but DEBUG entries)
+ *  - {String|Number} throwThreshold: errors at or above this level are
+ *    thrown rather than logged. Defaults to ERROR, or to everything if the
+ *    `DRIZZLE_DEBUG` environment variable is set
+ *  - {String} format: 'pretty' (default) or 'json'
+ *
+ * The returned logger's `report(error)` throws or logs a DrizzleError-like
+ * object (with `level`, `message` and `context`); `log(error)` logs one
+ * regardless of the throw threshold; `debug`, `notice`, `warn`, `error`
+ * and `fatal` log a message with optional context fields (`stage`, `id`,
+ * `path`, `line`, `column`, `frame`), never throwing. Logged warnings and
+ * errors are also emitted on the build's reporter (@see utils/reporter).
+ *
+ * @param {Object} debugOpts
+ * @return {Object} logger
+ */
+function createLogger (debugOpts = {}) {
+  debugOpts = debugOpts || {};
+  const logFn = debugOpts.logFn || console.log;
+  const minimum = levelValue(debugOpts.level, LEVELS.NOTICE);
+  const throwThreshold = levelValue(debugOpts.throwThreshold,
+    (process.env.DRIZZLE_DEBUG) ? 0 : LEVELS.ERROR);
+  const format = formats[debugOpts.format] || formats.pretty;
+
+  const log = error => {
+    count(debugOpts, error.level);
+    if (error.level >= LEVELS.WARN) {
+      emitLogged(debugOpts, (error.level >= LEVELS.ERROR) ? 'error' :
+        'warning', error);
+    }
+    if (error.level >= minimum) {
+      logFn(format(error));
+    }
+  };
+  const logger = {
+    throwThreshold,
+    log,
+    report: error => {
+      if (error.level >= throwThreshold) {
+        throw error;
+      }
+      log(error);
+    }
+  };
+  Object.keys(LEVELS).forEach(name => {
+    logger[name.toLowerCase()] = (message, context = {}) =>
+      log({ level: LEVELS[name], message, context });
+  });
+  return logger;
+}
+
+export { createLogger, levelName, levelValue, logCounts, LEVELS };
@@ -19,9 +19,9 @@ function deepObj (pathKeys, obj, createEntries = true) {
       if (createEntries) {
         prev[curr] = {};
       } else {
-        DrizzleError.error(new DrizzleError(
+        throw new DrizzleError(
           `Property ${curr} not found on supplied object`,
-          DrizzleError.LEVELS.ERROR));
+          DrizzleError.LEVELS.ERROR);
       }
     }
     return prev[curr];
@@ -185,6 +185,7 @@ export { deepCollection, // object
          deepObj, // object
          deepPattern, // object
          flattenById,
+         isObject,
          keyname, // object
          resourceId, //object
          resourceKey, // object
@@ -3,7 +3,11 @@ import Promise from 'bluebird';
 import {readFile as readFileCB} from 'fs';
 var readFile = Promise.promisify(readFileCB);
 import { relativePathArray } from './shared';
+import { cachedParse, parserIdentity } from './cache';
 import { deepObj, resourceKey, resourceId } from './object'; // TODO NO NO NO NO
+import { parseError } from './location';
+import { emitOn } from './reporter';
+import { limited, retrying } from './io';
 import DrizzleError from './error';
 
 /**
@@ -48,15 +52,31 @@ function isGlob (candidate) {
  * @return {Function} applicable parsing function for file contents
  */
 function matchParser (filepath, parsers = {}) {
+  return findParser(filepath, parsers).parseFn;
+}
+
+/**
+ * @see matchParser
+ * @param {String} filepath
+ * @param {Object} parsers
+ * @return {Object} with `key` of parser (`undefined` for the built-in
+ *                  fallback) and `parseFn`
+ */
+function findParser (filepath, parsers = {}) {
   for (var parserKey in parsers) {
     if (parsers[parserKey].pattern) {
       if (new RegExp(parsers[parserKey].pattern).test(filepath)) {
-        return parsers[parserKey].parseFn;
+        return { key: parserKey, parseFn: parsers[parserKey].parseFn };
       }
     }
   }
-  return (parsers.default && parsers.default.parseFn) ||
-    ((contents, filepath) => ({ contents: contents }));
+  if (parsers.default && parsers.default.parseFn) {
+    return { key: 'default', parseFn: parsers.default.parseFn };
+  }
+  return {
+    key: undefined,
+    parseFn: (contents, filepath) => ({ contents: contents })
+  };
 }
 
 /**
@@ -120,30 +140,92 @@ function parseLocalData (fileObj, options, extendedData = {}) {
  *  - {Object} available parsers
  *  - {String} encoding
  *  - {Object} globOpts gets passed to getFiles
+ *  - {Boolean|String} cache: use the on-disk parse cache. @see utils/cache
+ *  - {Boolean} dryRun: read the parse cache, but don't write to it
+ *  - {Object} reporter: `file:parsed` is emitted for each file
+ *    (@see utils/reporter)
+ *  - {Number} concurrency: how many files are read and parsed at once.
+ *    Reads that fail because too many files are open are retried.
+ *    @see utils/io
  * @return {Promise} resolving to Array of Objects:
  *  - {String} path
  *  - {String|Mixed} contents: contents of file after contentFn
+ *  Parse errors reject with a DrizzleError locating the problem in the file
+ *  (@see utils/location.parseError).
  */
 function readFiles (glob, {
   parsers = {},
   encoding = 'utf-8',
-  globOpts = {}
+  globOpts = {},
+  cache = false,
+  dryRun = false,
+  reporter,
+  concurrency
 } = {}) {
   return getFiles(glob, globOpts).then(paths => {
-    return Promise.all(paths.map(filepath => {
-      return readFile(filepath, encoding)
-        .then(fileData => {
-          const parser = matchParser(filepath, parsers);
-          fileData = parser(fileData, filepath);
+    return Promise.all(paths.map(filepath => limited(concurrency, () => {
+      const parser = findParser(filepath, parsers);
+      const parseFile = () => retrying(() => readFile(filepath, encoding))
+        .then(fileText => {
+          let fileData;
+          try {
+            fileData = parser.parseFn(fileText, filepath);
+          } catch (error) {
+            throw parseError(error, filepath, fileText);
+          }
           if (typeof fileData === 'string') {
             fileData = { contents: fileData };
           }
-          return Object.assign(fileData, { path: filepath });
+          return fileData;
         });
-    }));
+      const parsed = (cache) ?
+        cachedParse(filepath,
+          parserIdentity(parser.key, parser.parseFn, encoding),
+          cache, parseFile, dryRun) :
+        parseFile();
+      return parsed.then(fileData => {
+        emitOn(reporter, 'file:parsed', { path: filepath });
+        return Object.assign(fileData, { path: filepath });
+      });
+    })));
   });
 }
 
+/**
+ * Turn a file object (as read by `readFiles`) into a resource: derive its
+ * `id` and `resourceType` from `src` and `prefix` and parse its local data.
+ * Mutates `itemFile`.
+ *
+ * @param {Object} itemFile Object with `path`, `contents` and (maybe) `data`
+ * @param {Object} src      Object with properties `glob` and `basedir`
+ * @param {Object} prefix   Keys for this resource type, e.g. `keys.pages`
+ * @param {Object} options
+ * @return {Object} resource
+ */
+function fileResource (itemFile, src, prefix, options) {
+  itemFile.id = resourceId(itemFile, src.basedir, prefix.plural);
+  itemFile.resourceType = prefix.singular;
+  return parseLocalData(itemFile, options);
+}
+
+/**
+ * Add the ID of the resource whose source file an error (e.g. from
+ * `readFiles`) is about to the error's context.
+ *
+ * @param {Error} error
+ * @param {Object} src      Object with properties `glob` and `basedir`
+ * @param {String} prefix   e.g. 'patterns'
+ * @return {Error}
+ */
+function identifyError (error, src, prefix) {
+  if (error instanceof DrizzleError && error.context.path &&
+    !error.context.id) {
+    error.context.id = resourceId({ path: error.context.path },
+      src.basedir, prefix);
+  }
+  return error;
+}
+
 /**
  * Read the files from a glob, but then instead of resolving the
  * Promise with an Array of objects (@see readFiles), resolve with a
@@ -172,19 +254,21 @@ function readFiles (glob, {
  */
 function readFileTree (src, prefix, options) {
   const fileTree = {};
-  return readFiles(src.glob, options).then(fileData => {
+  return readFiles(src.glob, options).catch(error => {
+    throw identifyError(error, src, prefix.plural);
+  }).then(fileData => {
     fileData.forEach(itemFile => {
       const fileKeys = relativePathArray(itemFile.path, src.basedir);
-      itemFile.id = resourceId(itemFile, src.basedir, prefix.plural);
-      itemFile.resourceType = prefix.singular;
-      deepObj(fileKeys, fileTree)[resourceKey(itemFile)] = parseLocalData(
-        itemFile, options);
+      deepObj(fileKeys, fileTree)[resourceKey(itemFile)] = fileResource(
+        itemFile, src, prefix, options);
     });
     return fileTree;
   });
 }
 
-export { getFiles,
+export { fileResource,
+         getFiles,
+         identifyError,
          isGlob,
          matchParser,
          parseField,
@@ -0,0 +1,89 @@
+/**
+ * Plugin hooks.
+ * @module utils/plugins
+ */
+import Promise from 'bluebird';
+import DrizzleError from './error';
+
+/**
+ * Run the `hookName` hook of each plugin (`options.plugins`) in turn. Each
+ * hook receives `value` (and any further `args`) and can return—or resolve
+ * to—a replacement value. Returning `undefined` keeps the current value.
+ * A hook that throws or rejects is reported (@see utils/error); if that
+ * doesn't stop the build, the current value is kept.
+ *
+ * @param {String} hookName
+ * @param {Mixed} value
+ * @param {Object} options
+ * @param {...Mixed} args   Additional arguments for hooks
+ * @return {Promise} resolving to the (possibly replaced) value
+ */
+function runHook (hookName, value, options, ...args) {
+  return (options.plugins || []).reduce((prev, plugin) => {
+    return prev.then(current => {
+      if (typeof plugin[hookName] !== 'function') {
+        return current;
+      }
+      return Promise.try(() => plugin[hookName](current, ...args)).then(
+        result => (typeof result === 'undefined') ? current : result,
+        error => {
+          DrizzleError.error(new DrizzleError(
+            `Plugin '${plugin.name || 'anonymous'}' failed in '${hookName}':
+${error.message}`, DrizzleError.LEVELS.ERROR), options.debug);
+          return current;
+        }
+      );
+    });
+  }, Promise.resolve(value));
+}
+
+/**
+ * Run a per-resource hook (e.g. `beforeWrite`) on a single resource. Hooks
+ * get the resource and drizzleData; they can mutate the resource or return
+ * an object whose properties will be assigned to it.
+ *
+ * @param {String} hookName
+ * @param {Object} resource
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to the resource
+ */
+function runResourceHook (hookName, resource, drizzleData) {
+  return runHook(hookName, resource, drizzleData.options, drizzleData)
+    .then(result => (result === resource) ?
+      resource : Object.assign(resource, result));
+}
+
+/**
+ * Run a per-resource hook on every page and collection in drizzleData.
+ *
+ * @param {String} hookName
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to drizzleData
+ */
+function runResourceHooks (hookName, drizzleData) {
+  const resources = drizzleData.tree.pages.concat(
+    drizzleData.tree.collections);
+  return Promise.all(resources.map(resource =>
+    runResourceHook(hookName, resource, drizzleData)
+  )).then(() => drizzleData);
+}
+
+/**
+ * Gather everything of one kind (e.g. `helpers`) that plugins provide into a
+ * single object. Later plugins win.
+ *
+ * @param {String} property  e.g. 'helpers', 'parsers', 'partials'
+ * @param {Object} options
+ * @return {Object}
+ */
+function pluginProvided (property, options) {
+  return (options.plugins || []).reduce((provided, plugin) => {
+    return Object.assign(provided, plugin[property]);
+  }, {});
+}
+
+export { pluginProvided,
+         runHook,
+         runResourceHook,
+         runResourceHooks
+       };
@@ -0,0 +1,181 @@
+/**
+ * Build profiling, enabled by `options.debug.profile`: wall-clock timings
+ * of parsing per source type, rendering per resource and Handlebars helper
+ * calls, reported along with stage timings (@see utils/timings) at the end
+ * of the build.
+ * @module utils/profile
+ */
+import Handlebars from 'handlebars';
+import { elapsed, stageTimings } from './timings';
+
+/**
+ * How many resources and helpers are reported with `profile: true`.
+ */
+const defaultTop = 10;
+
+/**
+ * Handlebars' built-in helpers (`each`, `if`, etc.) aren't profiled: their
+ * times would mostly be those of the blocks they render.
+ */
+const builtInHelpers = Object.keys(Handlebars.create().helpers);
+
+const profiles = new WeakMap();
+
+/**
+ * @param {Object} options
+ * @return {Boolean} whether the build using `options` is being profiled
+ */
+function profiling (options) {
+  return !!(options && options.debug && options.debug.profile);
+}
+
+/**
+ * The profile of the build using `options`.
+ * @param {Object} options
+ * @return {Object} `{ sources, resources, helpers }`
+ */
+function buildProfile (options) {
+  if (!profiles.has(options)) {
+    profiles.set(options, { sources: {}, resources: {}, helpers: {} });
+  }
+  return profiles.get(options);
+}
+
+/**
+ * Time parsing one type of source (e.g. 'pages') if profiling.
+ *
+ * @param {String} type
+ * @param {Function} parseFn    Takes options, returns a Promise
+ * @return {Function} taking options, returning parseFn's Promise
+ */
+function timedSource (type, parseFn) {
+  return options => {
+    if (!profiling(options)) {
+      return parseFn(options);
+    }
+    const start = process.hrtime();
+    return parseFn(options).then(result => {
+      buildProfile(options).sources[type] = elapsed(start);
+      return result;
+    });
+  };
+}
+
+/**
+ * Call `renderFn` to render the resource with ID `id`, timing it if
+ * profiling.
+ *
+ * @param {Object} options
+ * @param {String} id
+ * @param {Function} renderFn
+ * @return {*} whatever `renderFn` returns
+ */
+function timeResource (options, id, renderFn) {
+  if (!profiling(options)) {
+    return renderFn();
+  }
+  const start = process.hrtime();
+  try {
+    return renderFn();
+  } finally {
+    buildProfile(options).resources[id] = elapsed(start);
+  }
+}
+
+/**
+ * If profiling, wrap the helpers registered on `options.handlebars` (except
+ * Handlebars' built-ins) so that their calls are counted and timed. Times
+ * include those of blocks and helpers they call.
+ *
+ * @param {Object} options
+ */
+function profileHelpers (options) {
+  if (!profiling(options)) {
+    return;
+  }
+  const helpers = options.handlebars.helpers;
+  const profile = buildProfile(options).helpers;
+  Object.keys(helpers)
+    .filter(name => builtInHelpers.indexOf(name) === -1 &&
+      typeof helpers[name] === 'function' && !helpers[name].profiled)
+    .forEach(name => {
+      const helper = helpers[name];
+      const stats = profile[name] = profile[name] || { calls: 0, ms: 0 };
+      const profiled = function () {
+        const start = process.hrtime();
+        try {
+          return helper.apply(this, arguments);
+        } finally {
+          const [seconds, nanoseconds] = process.hrtime(start);
+          stats.calls++;
+          // Unrounded: helper calls are often much shorter than 0.01ms
+          stats.ms += seconds * 1e3 + nanoseconds / 1e6;
+        }
+      };
+      profiled.profiled = true;
+      helpers[name] = profiled;
+    });
+}
+
+/**
+ * @param {Number} ms
+ * @return {String}
+ */
+const formatMs = ms => `${ms.toFixed(2)}ms`;
+
+/**
+ * The profile report: stage timings, parse timings per source type, the
+ * slowest resources and the most expensive helpers.
+ *
+ * @param {Object} options
+ * @return {String}
+ */
+function profileReport (options) {
+  const top = (typeof options.debug.profile === 'number') ?
+    options.debug.profile : defaultTop;
+  const profile = buildProfile(options);
+  const stages = stageTimings(options);
+  const list = times => Object.keys(times)
+    .map(key => `${key} ${formatMs(times[key])}`).join(', ');
+  const resources = Object.keys(profile.resources)
+    .sort((a, b) => profile.resources[b] - profile.resources[a])
+    .slice(0, top)
+    .map(id => `    ${formatMs(profile.resources[id])}  ${id}`);
+  const helpers = Object.keys(profile.helpers)
+    .filter(name => profile.helpers[name].calls)
+    .sort((a, b) => profile.helpers[b].ms - profile.helpers[a].ms)
+    .slice(0, top)
+    .map(name => `    ${formatMs(profile.helpers[name].ms)}  ${name} (${
+      profile.helpers[name].calls} call(s))`);
+  return [
+    'Profile:',
+    `  Stages: ${list(stages)}`,
+    `  Parse by source type (concurrent): ${list(profile.sources)}`,
+    '  Slowest resources:',
+    ...(resources.length ? resources : ['    (none)']),
+    '  Most expensive helpers:',
+    ...(helpers.length ? helpers : ['    (none)'])
+  ].join('\n');
+}
+
+/**
+ * Log the profile report (@see profileReport) if profiling.
+ *
+ * @param {Object} drizzleData
+ * @return {Object} drizzleData
+ */
+function reportProfile (drizzleData) {
+  const options = drizzleData.options;
+  if (profiling(options)) {
+    (options.debug.logFn || console.log)(profileReport(options));
+  }
+  return drizzleData;
+}
+
+export { profileHelpers,
+         profileReport,
+         profiling,
+         reportProfile,
+         timedSource,
+         timeResource
+       };
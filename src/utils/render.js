@@ -1,20 +1,182 @@
 /**
- * Options for Handlebars.compile()
+ * Template engine selection and rendering. @see engines/handlebars for the
+ * engine adapter interface.
+ * @module utils/render
  */
-const compileOptions = {
-  preventIndent: true
-};
+import { createHash } from 'crypto';
+import { templateError } from './location';
 
-function applyTemplate (template, context, options) {
-  if (typeof template !== 'function') {
-    template = compileTemplate(template, options);
+/**
+ * Compiled templates, per engine adapter. Engines live on options, so the
+ * cache is shared by everything rendered in a build and persists across
+ * watch rebuilds. Each engine's cache drops a file's old compiled template
+ * when the file changes, so it doesn't grow as files are edited.
+ * @see compileTemplate
+ */
+const caches = new WeakMap();
+
+/**
+ * Retrieve the template engine adapter for a file, based on its path. Each
+ * engine with a `pattern` property will compile that pattern to a RegExp
+ * and test it against the filepath. If none match (or there is no
+ * `filepath`), the default `handlebars` engine is returned.
+ *
+ * @param {String} filepath
+ * @param {Object} options    with `engines`
+ * @return {Object} engine adapter
+ */
+function matchEngine (filepath, options) {
+  const engines = options.engines;
+  if (typeof filepath === 'string') {
+    for (var engineKey in engines) {
+      if (engines[engineKey].pattern &&
+        new RegExp(engines[engineKey].pattern).test(filepath)) {
+        return engines[engineKey];
+      }
+    }
   }
-  return template(context);
+  return engines.handlebars;
 }
 
-function compileTemplate (template, options) {
-  return options.handlebars.compile(template, compileOptions);
+/**
+ * Call `fn` with each template engine adapter.
+ * @param {Object} options
+ * @param {Function} fn       Receives engine adapter and key
+ */
+function eachEngine (options, fn) {
+  for (var engineKey in options.engines) {
+    fn(options.engines[engineKey], engineKey);
+  }
+}
+
+/**
+ * Render `template` with `context`.
+ *
+ * @param {String|Function} template   Template source or compiled template
+ * @param {Object} context
+ * @param {Object} options
+ * @param {String} filepath            Path of the template's source file,
+ *                                     used to pick the engine
+ * @return {String}
+ * @throws {DrizzleError} locating compile and render errors in the
+ *                        template's source file and resource (`context.id`)
+ *                        @see utils/location.templateError
+ */
+function applyTemplate (template, context, options, filepath) {
+  const source = template;
+  try {
+    if (typeof template !== 'function') {
+      template = compileTemplate(template, options, filepath);
+    }
+    return template(context);
+  } catch (error) {
+    throw templateError(error, filepath,
+      (typeof source === 'string') ? source : '',
+      { stage: 'render', id: context && context.id });
+  }
+}
+
+/**
+ * The compiled-template cache for an engine: compiled templates by cache
+ * key, and the cache key of each template file's current source.
+ * @param {Object} engine
+ * @return {Object} { templates, files, hits, misses }
+ */
+function engineCache (engine) {
+  if (!caches.has(engine)) {
+    caches.set(engine, {
+      templates: new Map(),
+      files: new Map(),
+      hits: 0,
+      misses: 0
+    });
+  }
+  return caches.get(engine);
+}
+
+/**
+ * @param {String} value
+ * @return {String} SHA-1 digest
+ */
+const hash = value => createHash('sha1').update(value).digest('hex');
+
+/**
+ * Cache key for a template: a hash of its source plus a hash of the
+ * engine's compile options.
+ * @param {String} template
+ * @param {Object} engine
+ * @return {String}
+ */
+function cacheKey (template, engine) {
+  return hash(template) + hash(JSON.stringify(engine.compileOptions || {}));
+}
+
+/**
+ * Record that the template file at `filepath` now has cache key `key`,
+ * dropping the compiled template for its previous source unless another
+ * file still has that source.
+ * @param {Object} cache      @see engineCache
+ * @param {String} filepath
+ * @param {String} key
+ */
+function trackFile (cache, filepath, key) {
+  const previous = cache.files.get(filepath);
+  cache.files.set(filepath, key);
+  if (previous && previous !== key &&
+    !Array.from(cache.files.values()).some(fileKey => fileKey === previous)) {
+    cache.templates.delete(previous);
+  }
+}
+
+/**
+ * Compile `template` with the engine matching `filepath`. Compiled templates
+ * are cached by source and compile options (@see cacheKey): identical
+ * templates are only compiled once per engine. When the source of the file
+ * at `filepath` changes, its previously compiled template is dropped.
+ *
+ * @param {String} template
+ * @param {Object} options
+ * @param {String} filepath
+ * @return {Function} compiled template
+ */
+function compileTemplate (template, options, filepath) {
+  const engine = matchEngine(filepath, options);
+  if (typeof template !== 'string') {
+    // Leave it to the engine to compile (or complain about) anything else
+    return engine.compile(template);
+  }
+  const cache = engineCache(engine);
+  const key = cacheKey(template, engine);
+  if (typeof filepath === 'string') {
+    trackFile(cache, filepath, key);
+  }
+  if (cache.templates.has(key)) {
+    cache.hits++;
+  } else {
+    cache.misses++;
+    cache.templates.set(key, engine.compile(template));
+  }
+  return cache.templates.get(key);
+}
+
+/**
+ * Compiled-template cache statistics, for all engines.
+ * @param {Object} options
+ * @return {Object} { hits, misses, size }
+ */
+function templateCacheStats (options) {
+  const stats = { hits: 0, misses: 0, size: 0 };
+  eachEngine(options, engine => {
+    const cache = engineCache(engine);
+    stats.hits += cache.hits;
+    stats.misses += cache.misses;
+    stats.size += cache.templates.size;
+  });
+  return stats;
 }
 
 export { applyTemplate,
-         compileTemplate };
+         compileTemplate,
+         eachEngine,
+         matchEngine,
+         templateCacheStats };
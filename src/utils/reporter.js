@@ -0,0 +1,73 @@
+/**
+ * Build progress events, emitted on `options.reporter` (an EventEmitter, or
+ * any object with an `emit` method):
+ *  - `stage:start` `{ stage }`
+ *  - `stage:end` `{ stage, ms }`
+ *  - `file:parsed` `{ path }`
+ *  - `resource:rendered` `{ id, resourceType, path, bytes, failed }`
+ *  - `file:written` `{ path, bytes, source, action }`
+ *  - `warning` and `error`: the logged DrizzleError (`level`, `message`,
+ *    `context`) @see utils/logger
+ * @module utils/reporter
+ */
+
+/**
+ * Reporters by `options.debug` object, so that the logger—which is only
+ * given `options.debug`—can find them. @see registerReporter
+ */
+const reporters = new WeakMap();
+
+/**
+ * Emit `event` on `reporter`, if there is one. `error` events are only
+ * emitted if something listens for them, as EventEmitters throw otherwise.
+ *
+ * @param {Object} reporter
+ * @param {String} event
+ * @param {Object} payload
+ */
+function emitOn (reporter, event, payload) {
+  if (!reporter || typeof reporter.emit !== 'function') {
+    return;
+  }
+  if (event === 'error' && typeof reporter.listenerCount === 'function' &&
+    !reporter.listenerCount('error')) {
+    return;
+  }
+  reporter.emit(event, payload);
+}
+
+/**
+ * Emit `event` on `options.reporter`, if set.
+ *
+ * @param {Object} options
+ * @param {String} event
+ * @param {Object} payload
+ */
+function emit (options, event, payload) {
+  emitOn(options && options.reporter, event, payload);
+}
+
+/**
+ * Make `options.reporter` the reporter for log entries made with
+ * `options.debug`.
+ *
+ * @param {Object} options  Merged options @see init
+ */
+function registerReporter (options) {
+  if (options.reporter && options.debug) {
+    reporters.set(options.debug, options.reporter);
+  }
+}
+
+/**
+ * Emit a logged entry on the reporter registered for `debugOpts`.
+ *
+ * @param {Object} debugOpts
+ * @param {String} event      'warning' or 'error'
+ * @param {Object} error      With `level`, `message` and `context`
+ */
+function emitLogged (debugOpts, event, error) {
+  emitOn(reporters.get(debugOpts), event, error);
+}
+
+export { emit, emitLogged, emitOn, registerReporter };
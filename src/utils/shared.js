@@ -1,6 +1,17 @@
 import path from 'path';
 import R from 'ramda';
 
+/**
+ * A collection's source: the directory its patterns are in.
+ * @param {Object} collection
+ * @return {String}
+ */
+function collectionSource (collection) {
+  const itemKeys = Object.keys(collection.items || {});
+  return itemKeys.length ?
+    path.dirname(collection.items[itemKeys[0]].path) : undefined;
+}
+
 /**
  * Split a string on a common separator.
  * @param {String} idString
@@ -65,6 +76,59 @@ function resourcePath (resourceId, dest = '') {
   return outputPath;
 }
 
+/**
+ * `options.dest` keys that resources are written under, by resource type
+ * (`options.keys` key). Collection pages go alongside patterns; pattern
+ * preview pages get their own directory, so that a pattern can't have the
+ * same output path as a collection.
+ */
+const destKeys = {
+  collections: 'patterns',
+  pages: 'pages',
+  patterns: 'previews'
+};
+
+/**
+ * Output path prefix for resources of a type. @see resourcePath
+ * @param {String} type         Resource type key, e.g. 'collections'
+ * @param {Object} options
+ * @return {String} e.g. `options.dest.patterns` for collections
+ */
+function resourceDest (type, options) {
+  return options.dest[destKeys[type]];
+}
+
+/**
+ * The inverse of `resourcePath`: derive a resource ID from an output path.
+ *
+ * @param {String} outputPath
+ * @param {String} dest         Output path prefix for the resource type
+ * @param {String} prefix       Resource type key, e.g. 'pages'
+ * @return {String|undefined} ID, or `undefined` if `outputPath` is not an
+ *                            HTML file under `dest`
+ */
+function outputResourceId (outputPath, dest, prefix) {
+  const relative = path.relative(path.resolve(dest), path.resolve(outputPath));
+  if (!relative || relative.split(path.sep)[0] === '..' ||
+    path.isAbsolute(relative) || path.extname(relative) !== '.html') {
+    return undefined;
+  }
+  return [prefix].concat(relative.slice(0, -'.html'.length).split(path.sep))
+    .join('.');
+}
+
+/**
+ * Is `filepath` inside (and not the same as) directory `dir`?
+ * @param {String} filepath
+ * @param {String} dir
+ * @return {Boolean}
+ */
+function isInside (filepath, dir) {
+  const relative = path.relative(dir, filepath);
+  return !!relative && relative.split(path.sep)[0] !== '..' &&
+    !path.isAbsolute(relative);
+}
+
 /**
  * Convert str to title case (every word will be capitalized)
  * @param {String} str
@@ -85,9 +149,13 @@ const isPage = isType('page');
 const isPattern = isType('pattern');
 const isCollection = isType('collection');
 
-export { idKeys,
+export { collectionSource,
+         idKeys,
+         isInside,
          keyname,
+         outputResourceId,
          relativePathArray,
+         resourceDest,
          resourcePath,
          titleCase,
          isType,
@@ -0,0 +1,68 @@
+/**
+ * Wall-clock timings of build stages, kept per build (keyed by its prepared
+ * options object) so that they can be reported after the build, e.g. in
+ * the build manifest. @see write/manifest
+ * @module utils/timings
+ */
+
+const builds = new WeakMap();
+
+/**
+ * Milliseconds elapsed since `start` (a `process.hrtime()` reading),
+ * rounded to hundredths.
+ *
+ * @param {Array} start
+ * @return {Number}
+ */
+function elapsed (start) {
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return Math.round(seconds * 1e5 + nanoseconds / 1e4) / 100;
+}
+
+/**
+ * Timings recorded for the build using `options`.
+ *
+ * @param {Object} options    Prepared options
+ * @return {Object} milliseconds, keyed by stage name
+ */
+function stageTimings (options) {
+  return Object.assign({}, builds.get(options));
+}
+
+/**
+ * Record that `stage` of the build using `options` took `ms`.
+ *
+ * @param {Object} options
+ * @param {String} stage      e.g. 'parse'
+ * @param {Number} ms
+ */
+function recordTiming (options, stage, ms) {
+  if (!builds.has(options)) {
+    builds.set(options, {});
+  }
+  builds.get(options)[stage] = ms;
+}
+
+/**
+ * Time a promise-returning stage function. The timing is recorded against
+ * the options of the stage's result (prepared options, or drizzleData's
+ * `options`), which for `init` don't exist until it is done.
+ *
+ * @param {String} stage
+ * @param {Function} fn       Takes one argument and returns a Promise
+ * @return {Function} timed version of `fn`
+ */
+function timed (stage, fn) {
+  return input => {
+    const start = process.hrtime();
+    return fn(input).then(result => {
+      const options = (result && result.options) || result;
+      if (options && typeof options === 'object') {
+        recordTiming(options, stage, elapsed(start));
+      }
+      return result;
+    });
+  };
+}
+
+export { elapsed, recordTiming, stageTimings, timed };
@@ -0,0 +1,167 @@
+/**
+ * Validate options against a schema. @see schema
+ * @module utils/validate
+ */
+import { statSync } from 'fs';
+import DrizzleError from './error';
+import { isObject } from './object';
+import { isGlob } from './parse';
+
+const typeChecks = {
+  array: Array.isArray,
+  boolean: value => typeof value === 'boolean',
+  function: value => typeof value === 'function',
+  glob: isGlob,
+  number: value => typeof value === 'number' && !isNaN(value),
+  object: isObject,
+  regexp: value => value instanceof RegExp,
+  string: value => typeof value === 'string'
+};
+
+/**
+ * Levenshtein distance between two strings: the number of single-character
+ * edits it takes to turn one into the other.
+ *
+ * @param {String} strA
+ * @param {String} strB
+ * @return {Number}
+ */
+function editDistance (strA, strB) {
+  let previous = Array.from({ length: strB.length + 1 }, (val, i) => i);
+  for (let i = 1; i <= strA.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= strB.length; j++) {
+      const substitution = (strA[i - 1] === strB[j - 1]) ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + substitution
+      );
+    }
+    previous = current;
+  }
+  return previous[strB.length];
+}
+
+/**
+ * Find the candidate closest to `key`.
+ *
+ * @param {String} key
+ * @param {Array} candidates
+ * @return {String}
+ *
+ * @example
+ * closestKey('colection', ['page', 'collection']); // 'collection'
+ */
+function closestKey (key, candidates) {
+  return candidates.reduce((closest, candidate) => {
+    return (editDistance(key, candidate) < editDistance(key, closest)) ?
+      candidate : closest;
+  });
+}
+
+const describeType = value => {
+  if (Array.isArray(value)) { return 'an Array'; }
+  if (value instanceof RegExp) { return 'a RegExp'; }
+  if (value === null) { return 'null'; }
+  return `a(n) ${typeof value}`;
+};
+
+const isDirectory = dirPath => {
+  try {
+    return statSync(dirPath).isDirectory();
+  } catch (e) {
+    return false;
+  }
+};
+
+const joinKeys = (prefix, key) => (prefix) ? `${prefix}.${key}` : key;
+
+/**
+ * Validate a single option value against its schema entry, adding any
+ * problems found to `problems`.
+ *
+ * @param {Mixed} value
+ * @param {Object} spec         Schema entry
+ * @param {String} keyPath      e.g. 'src.patterns.glob'
+ * @param {Array} problems      Mutated
+ * @param {Mixed} explicitValue The value as it was set explicitly (not by
+ *                              defaults), if it was
+ * @return {Array} problems
+ */
+function validateValue (value, spec, keyPath, problems, explicitValue) {
+  const types = [].concat(spec.type);
+  if (!types.some(type => typeChecks[type](value))) {
+    problems.push(new DrizzleError(`Option '${keyPath}' should be of type
+${types.join(' or ')}, but is ${describeType(value)}`,
+      DrizzleError.LEVELS.ERROR));
+    return problems;
+  }
+  if (spec.directory && typeof explicitValue !== 'undefined' &&
+    !isDirectory(value)) {
+    problems.push(new DrizzleError(`Directory '${value}' for option
+'${keyPath}' does not exist`, DrizzleError.LEVELS.WARN));
+  }
+  if (isObject(value) && spec.properties) {
+    validateObject(value, spec, keyPath, problems, explicitValue);
+  }
+  if (Array.isArray(value) && spec.items) {
+    value.forEach((item, index) => validateValue(item, spec.items,
+      joinKeys(keyPath, index), problems,
+      explicitValue && explicitValue[index]));
+  }
+  if (isObject(value) && spec.values) {
+    for (const key in value) {
+      validateValue(value[key], spec.values, joinKeys(keyPath, key),
+        problems, explicitValue && explicitValue[key]);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate each property of an object against `spec.properties`, flagging
+ * unknown keys (unless `spec.open`) along with the closest known key.
+ *
+ * @param {Object} obj
+ * @param {Object} spec         Schema entry with `properties`
+ * @param {String} prefix       Key path to `obj`
+ * @param {Array} problems      Mutated
+ * @param {Object} explicitObj  @see validateValue
+ * @return {Array} problems
+ */
+function validateObject (obj, spec, prefix, problems, explicitObj) {
+  const knownKeys = Object.keys(spec.properties);
+  for (const key in obj) {
+    const keyPath = joinKeys(prefix, key);
+    if (spec.properties.hasOwnProperty(key)) {
+      validateValue(obj[key], spec.properties[key], keyPath, problems,
+        explicitObj && explicitObj[key]);
+    } else if (!spec.open) {
+      problems.push(new DrizzleError(`Unknown option '${keyPath}'. Did you
+mean '${joinKeys(prefix, closestKey(key, knownKeys))}'?`,
+        DrizzleError.LEVELS.WARN));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate merged options against `schema`.
+ *
+ * @param {Object} options          Merged options
+ * @param {Object} schema           @see schema
+ * @param {Object} explicitOptions  Options set explicitly (i.e. not by
+ *                                  defaults). Directories are only checked
+ *                                  for existence if set explicitly.
+ * @return {Array} of DrizzleErrors, most severe first
+ */
+function validateOptions (options, schema, explicitOptions = {}) {
+  return validateObject(options, { properties: schema }, '', [],
+    explicitOptions).sort((errorA, errorB) => errorB.level - errorA.level);
+}
+
+export { closestKey,
+         editDistance,
+         validateOptions
+       };
@@ -1,25 +1,135 @@
-import path from 'path';
 import Promise from 'bluebird';
-import {writeFile as writeFileCB} from 'fs';
-import {mkdirp as mkdirpCB} from 'mkdirp';
+import { createHash } from 'crypto';
+import fsWriter from '../writers/fs';
 import { resourcePath } from './shared';
-var writeFile = Promise.promisify(writeFileCB);
-var mkdirp    = Promise.promisify(mkdirpCB);
+import { emit } from './reporter';
+import { limited, retrying } from './io';
 
 /**
- * Write `contents` to path at `filepath`
+ * Writer used when options don't provide one (e.g. when these functions are
+ * used on their own). @see init
+ */
+const defaultWriter = fsWriter();
+
+/**
+ * SHA-1 digest of file contents
+ * @param {String|Buffer} contents
+ * @return {String}
+ */
+const contentHash = contents => createHash('sha1').update(contents)
+  .digest('hex');
+
+/**
+ * Write `contents` to path at `filepath` with the writer adapter in
+ * `options.writer`, unless the file already has exactly those contents:
+ * unchanged files are left alone, so their mtimes stay stable. At most
+ * `options.concurrency` files are written at once, and reads and writes that
+ * fail because too many files are open are retried. @see utils/io
+ *
+ * A writer adapter is an object with:
+ *  - {String} name
+ *  - {Function} read(filepath): Promise resolving to existing contents;
+ *    rejecting if there are none
+ *  - {Function} write(filepath, contents): Promise
+ *  - {Function} list(dir) (optional): Promise resolving to {Array} of paths
+ *    of everything written under `dir`. Needed for `options.clean`
+ *  - {Function} remove(filepath, root) (optional): Promise. Needed for
+ *    `options.clean`
+ *  - {Function} finalize(options) (optional): called after each build;
+ *    Promise resolving to a description of what was written
+ * @see writers/fs, writers/memory, writers/archive
+ *
  * @param {String} filepath
  * @param {String} contents
+ * @param {Object} options    `writer`, `concurrency`; `dryRun` works out
+ *                            the action, but doesn't write
+ * @return {Promise} resolving to the action taken: 'create', 'update' or
+ *                   'unchanged'
+ */
+function write (filepath, contents, options = {}) {
+  const writer = options.writer || defaultWriter;
+  return limited(options.concurrency, () => retrying(() =>
+    writer.read(filepath)).then(
+      existing => (contentHash(existing) === contentHash(contents)) ?
+        'unchanged' : 'update',
+      () => 'create'
+    ).then(action => {
+      if (action === 'unchanged' || options.dryRun) {
+        return action;
+      }
+      return retrying(() => writer.write(filepath, contents))
+        .then(() => action);
+    }));
+}
+
+/**
+ * Let the writer adapter wrap up after a build (@see write). Nothing is
+ * finalized in a dry run.
+ *
+ * @param {Object} options    Drizzle options
+ * @return {Promise} resolving to the writer's description of what it wrote,
+ *                   if any
+ */
+function finalizeWrites (options) {
+  const writer = options.writer || defaultWriter;
+  if (options.dryRun || typeof writer.finalize !== 'function') {
+    return Promise.resolve();
+  }
+  return Promise.resolve(writer.finalize(options));
+}
+
+/**
+ * Remove a previously written file with the writer adapter (@see write),
+ * e.g. when its source file has been deleted. Nothing is removed in a dry
+ * run, or if the writer can't remove files. A file that is already gone is
+ * ignored.
+ *
+ * @param {String} filepath
+ * @param {Object} options    Drizzle options (`writer`, `dest`, `dryRun`)
  * @return {Promise}
  */
-function write (filepath, contents) {
-  return mkdirp(path.dirname(filepath)).then(() => {
-    return writeFile(filepath, contents);
+function removeOutput (filepath, options = {}) {
+  const writer = options.writer || defaultWriter;
+  if (!filepath || options.dryRun || typeof writer.remove !== 'function') {
+    return Promise.resolve();
+  }
+  return limited(options.concurrency, () => retrying(() =>
+    writer.remove(filepath, options.dest.root))).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+}
+
+/**
+ * Write `contents` to `outputPath` and describe what was (or, in a dry run,
+ * would be) done. Unless in a dry run, the operation is emitted as a
+ * `file:written` event (@see utils/reporter).
+ *
+ * @param {String} outputPath
+ * @param {String} contents
+ * @param {String} source     Path of the source file (or directory)
+ * @param {Object} options    @see write
+ * @return {Promise} resolving to {Object} operation: `path`, `bytes`,
+ *                   `source` and `action` (@see write)
+ */
+function writeOperation (outputPath, contents, source, options = {}) {
+  return write(outputPath, contents, options).then(action => {
+    const operation = {
+      path: outputPath,
+      bytes: Buffer.byteLength(contents || ''),
+      source: source,
+      action: action
+    };
+    if (!options.dryRun) {
+      emit(options, 'file:written', operation);
+    }
+    return operation;
   });
 }
 
 /**
- * Take an object's contents and write them to an HTML file on the filesystem.
+ * Take an object's contents and write them to an HTML file.
  * @param {String} resourceId   e.g. pages.follow-me.down `.`-separated ID
  *                              representing the hierarchical position of the
  *                              resource in its object structure. Will be used
@@ -27,12 +137,37 @@ function write (filepath, contents) {
  * @param {Object} resourceObj  The object to output. Must have `contents` prop
  * @param {String} pathPrefix   The output path prefix (as defined in
  *                              options.dest—@see defaults).
- * @return {Promise}
+ * @param {Object} options      Drizzle options (`writer`, `dryRun`)
+ * @param {String} source       Source path to report. Defaults to the
+ *                              resource's `path`
+ * @return {Promise} resolving to the operation (@see writeOperation)
  */
-function writePage (resourceId, resourceObj, pathPrefix) {
+function writePage (resourceId, resourceObj, pathPrefix, options = {},
+  source = resourceObj.path) {
   const outputPath = resourcePath(resourceId, pathPrefix);
   resourceObj.outputPath = outputPath;
-  return write(outputPath, resourceObj.contents);
+  return writeOperation(outputPath, resourceObj.contents, source, options);
+}
+
+/**
+ * Write a pattern's rendered preview page (its `preview` property) to an
+ * HTML file. @see render/pattern
+ * @param {Object} pattern
+ * @param {String} pathPrefix   The output path prefix (`options.dest.previews`)
+ * @param {Object} options      Drizzle options (`writer`, `dryRun`)
+ * @return {Promise} resolving to the operation (@see writeOperation)
+ */
+function writePatternPage (pattern, pathPrefix, options = {}) {
+  const outputPath = resourcePath(pattern.id, pathPrefix);
+  pattern.outputPath = outputPath;
+  return writeOperation(outputPath, pattern.preview, pattern.path, options);
 }
 
-export { write, writePage };
+export { contentHash,
+         finalizeWrites,
+         removeOutput,
+         write,
+         writeOperation,
+         writePage,
+         writePatternPage
+       };
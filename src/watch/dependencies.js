@@ -0,0 +1,130 @@
+/**
+ * Work out which resources depend on which partials, so that a change to a
+ * single template or pattern only rebuilds the resources that use it.
+ * @module watch/dependencies
+ */
+import { flattenById } from '../utils/object';
+import { idKeys } from '../utils/shared';
+
+/**
+ * Sources of RegExps that find partial references in a template:
+ * `{{> name}}` and `{{#> name}}` partial invocations, `{{#extend "name"}}`
+ * and `{{#embed "name"}}` from handlebars-layouts and drizzle's own
+ * `{{pattern "id"}}` and `{{patternSource "id"}}` helpers. Helper arguments
+ * are only followed if they are string literals.
+ */
+const referenceSources = [
+  '{{~?#?>\\s*[\'"]?([^\\s\'"}~]+)',
+  '{{~?#?\\s*(?:extend|embed|pattern|patternSource)\\s+[\'"]([^\'"]+)[\'"]'
+];
+
+/**
+ * Find the keys of the partials a template references.
+ *
+ * @param {String} contents   Template source
+ * @return {Array} of partial keys
+ *
+ * @example
+ * templateReferences('{{#extend "default"}}{{> menu}}{{/extend}}');
+ * // ['menu', 'default']
+ */
+function templateReferences (contents) {
+  const references = [];
+  if (typeof contents !== 'string') {
+    return references;
+  }
+  referenceSources.forEach(source => {
+    const referenceExp = new RegExp(source, 'g');
+    let match;
+    while ((match = referenceExp.exec(contents)) !== null) {
+      if (references.indexOf(match[1]) === -1) {
+        references.push(match[1]);
+      }
+    }
+  });
+  return references;
+}
+
+/**
+ * The partials a page depends on directly: its layout and anything its
+ * (unrendered) contents reference.
+ *
+ * @param {Object} page     Page resource, before rendering
+ * @param {Object} options
+ * @return {Array} of partial keys
+ */
+function pageReferences (page, options) {
+  const layout = (page.data && page.data.layout) || options.layouts.page;
+  return [layout].concat(templateReferences(page.contents)
+    .filter(reference => reference !== layout));
+}
+
+/**
+ * The partials a collection depends on directly: the collection layout and
+ * all of its patterns.
+ *
+ * @param {Object} collection
+ * @param {Object} options
+ * @return {Array} of partial keys
+ */
+function collectionReferences (collection, options) {
+  return [options.layouts.collection].concat(
+    Object.keys(collection.items).map(itemKey => collection.items[itemKey].id)
+  );
+}
+
+/**
+ * Build an object keyed by partial key whose values are the keys of the
+ * partials it references. Templates are registered without their resource
+ * prefix (e.g. `partials.menu`), patterns by their ID. Pattern variants
+ * reference the pattern they are a variant of.
+ *
+ * @param {Object} drizzleData
+ * @return {Object} partial graph
+ */
+function partialGraph (drizzleData) {
+  const graph = {};
+  const templates = flattenById(drizzleData.templates);
+  for (const templateId in templates) {
+    const partialKey = idKeys(templateId).slice(1).join('.');
+    graph[partialKey] = templateReferences(templates[templateId].contents);
+  }
+  drizzleData.tree.collections.forEach(collection => {
+    for (const itemKey in collection.items) {
+      const pattern = collection.items[itemKey];
+      graph[pattern.id] = (pattern.variantOf) ? [pattern.variantOf] :
+        templateReferences(pattern.contents);
+    }
+  });
+  return graph;
+}
+
+/**
+ * Does a set of references lead—directly or through other partials—to
+ * `partialKey`?
+ *
+ * @param {Array} references  Partial keys referenced directly
+ * @param {String} partialKey
+ * @param {Object} graph      @see partialGraph
+ * @param {Array} visited     For recursion
+ * @return {Boolean}
+ */
+function dependsOn (references, partialKey, graph, visited = []) {
+  return references.some(reference => {
+    if (reference === partialKey) {
+      return true;
+    }
+    if (visited.indexOf(reference) !== -1) {
+      return false;
+    }
+    visited.push(reference);
+    return dependsOn(graph[reference] || [], partialKey, graph, visited);
+  });
+}
+
+export { collectionReferences,
+         dependsOn,
+         pageReferences,
+         partialGraph,
+         templateReferences
+       };
@@ -0,0 +1,268 @@
+/**
+ * Watch module.
+ * @module watch
+ */
+import chokidar from 'chokidar';
+import { EventEmitter } from 'events';
+import path from 'path';
+
+import { outputStages, parseStages } from '../pipeline';
+import renderPage from '../render/page';
+import renderCollection from '../render/collection';
+import renderPatternPage from '../render/pattern';
+import DrizzleError from '../utils/error';
+import { createLogger } from '../utils/logger';
+import { finalizeWrites, writePage, writePatternPage } from '../utils/write';
+import { writeManifest } from '../write/manifest';
+import { isGlob } from '../utils/parse';
+import { runResourceHook } from '../utils/plugins';
+import { isPage, isPattern, resourceDest } from '../utils/shared';
+import { collectionReferences,
+         dependsOn,
+         pageReferences,
+         partialGraph } from './dependencies';
+import { updateData,
+         updateHelper,
+         updatePage,
+         updatePages,
+         updatePattern,
+         updateTemplate } from './update';
+
+const watchEvents = ['add', 'change', 'unlink'];
+
+/**
+ * Patterns that have preview pages (if `options.layouts.pattern` is set).
+ * @param {Object} drizzleData
+ * @return {Array}
+ */
+const patternPages = drizzleData =>
+  (drizzleData.options.layouts.pattern) ? drizzleData.tree.patterns : [];
+
+/**
+ * Record the partials each page depends on. This has to happen before pages
+ * are rendered, as rendering replaces their `contents`.
+ *
+ * @param {Array} pages         Unrendered page resources
+ * @param {Object} options
+ * @param {Object} pageRefs     Object keyed by page ID. Mutated in place.
+ * @return {Object} pageRefs
+ */
+function recordPageReferences (pages, options, pageRefs = {}) {
+  pages.forEach(page => {
+    pageRefs[page.id] = pageReferences(page, options);
+  });
+  return pageRefs;
+}
+
+/**
+ * Find the resources that depend on the partial `partialKey`. Pages have
+ * already been rendered, so they are re-read from their source files.
+ *
+ * @param {String} partialKey
+ * @param {Object} drizzleData
+ * @param {Object} pageRefs
+ * @return {Promise} resolving to {Array} of resources ready to render
+ */
+function dependentResources (partialKey, drizzleData, pageRefs) {
+  const options = drizzleData.options;
+  const graph = partialGraph(drizzleData);
+  const pages = drizzleData.tree.pages.filter(page =>
+    dependsOn(pageRefs[page.id] || [], partialKey, graph));
+  const collections = drizzleData.tree.collections.filter(collection =>
+    dependsOn(collectionReferences(collection, options), partialKey, graph));
+  const patterns = patternPages(drizzleData).filter(pattern =>
+    dependsOn([options.layouts.pattern, pattern.id], partialKey, graph));
+  return Promise.all(pages.map(page =>
+    updatePage(page.path, 'change', drizzleData))
+  ).then(freshPages => {
+    recordPageReferences(freshPages, options, pageRefs);
+    return freshPages.concat(collections, patterns);
+  });
+}
+
+/**
+ * Re-read all pages and return every page and collection: for changes that
+ * could affect any resource (data, helpers).
+ *
+ * @param {Object} drizzleData
+ * @param {Object} pageRefs
+ * @return {Promise} resolving to {Array} of resources ready to render
+ */
+function allResources (drizzleData, pageRefs) {
+  return updatePages(drizzleData).then(() => {
+    recordPageReferences(drizzleData.tree.pages, drizzleData.options,
+      pageRefs);
+    return drizzleData.tree.pages.concat(drizzleData.tree.collections,
+      patternPages(drizzleData));
+  });
+}
+
+/**
+ * For each kind of source, apply the change to drizzleData and work out
+ * which resources need to be rendered and written again.
+ */
+const updaters = {
+  data: (event, filepath, drizzleData, pageRefs) =>
+    updateData(drizzleData).then(() => allResources(drizzleData, pageRefs)),
+  helpers: (event, filepath, drizzleData, pageRefs) =>
+    updateHelper(filepath, event, drizzleData)
+      .then(() => allResources(drizzleData, pageRefs)),
+  pages: (event, filepath, drizzleData, pageRefs) =>
+    updatePage(filepath, event, drizzleData).then(page => {
+      if (!page) {
+        return [];
+      }
+      recordPageReferences([page], drizzleData.options, pageRefs);
+      return [page];
+    }),
+  patterns: (event, filepath, drizzleData, pageRefs) =>
+    updatePattern(filepath, event, drizzleData).then(patternId => {
+      // The pattern's own collection needs rebuilding even if the pattern
+      // was removed from it
+      const collectionId = [drizzleData.options.keys.collections.plural]
+        .concat(patternId.split('.').slice(1, -1)).join('.');
+      return dependentResources(patternId, drizzleData, pageRefs)
+        .then(resources => resources.concat(
+          drizzleData.tree.collections.filter(collection =>
+            collection.id === collectionId &&
+            resources.indexOf(collection) === -1)
+        ));
+    }),
+  templates: (event, filepath, drizzleData, pageRefs) =>
+    updateTemplate(filepath, event, drizzleData).then(partialKey =>
+      dependentResources(partialKey, drizzleData, pageRefs))
+};
+
+/**
+ * Render and write a single page or collection resource, running the
+ * per-resource plugin hooks. Patterns get their preview page rebuilt.
+ *
+ * @param {Object} resource
+ * @param {Object} drizzleData
+ * @return {Promise}
+ */
+function rebuildResource (resource, drizzleData) {
+  const options = drizzleData.options;
+  if (isPattern(resource)) {
+    renderPatternPage(resource, drizzleData);
+    return writePatternPage(resource, resourceDest('patterns', options),
+      options);
+  }
+  const page = isPage(resource);
+  if (page) {
+    renderPage(resource, drizzleData);
+  } else {
+    renderCollection(resource, drizzleData);
+  }
+  return runResourceHook('afterRenderResource', resource, drizzleData)
+    .then(rendered => runResourceHook('beforeWrite', rendered, drizzleData))
+    .then(rendered => writePage(rendered.id, rendered,
+      resourceDest(page ? 'pages' : 'collections', options), options));
+}
+
+/**
+ * Build the drizzle, then watch source files and rebuild incrementally as
+ * they change. Only the resources affected by a change are re-rendered and
+ * re-written:
+ * - pages: the changed page
+ * - templates and patterns: resources that (transitively) use them
+ * - data and helpers: everything
+ *
+ * The returned watcher emits:
+ * - `build` with drizzleData once the initial build is complete
+ * - `ready` once source files are being watched
+ * - `rebuild` with `{ event, path, type, resources }` after each change
+ *   (`resources` is an Array of the IDs rebuilt)
+ * - `error` with any error, initial or during rebuild
+ *
+ * @param {Object} options   User options for the build
+ * @return {EventEmitter} watcher, with a `close` method to stop watching
+ */
+function watch (options) {
+  const watcher = new EventEmitter();
+  const fsWatchers = [];
+  const pageRefs = {};
+  let drizzleData;
+  let closed = false;
+  let queue = Promise.resolve();
+  // Changes that are queued but not yet being rebuilt: editors often
+  // trigger several events for a single save
+  const pending = {};
+
+  const onError = error => {
+    if (watcher.listeners('error').length) {
+      watcher.emit('error', error);
+    } else {
+      const logger = createLogger(drizzleData ? drizzleData.options.debug :
+        options.debug);
+      if (error instanceof DrizzleError) {
+        logger.log(error);
+      } else {
+        logger.error(error.message || String(error), { stage: 'watch' });
+      }
+    }
+  };
+
+  const rebuild = (type, event, filepath) => {
+    return updaters[type](event, filepath, drizzleData, pageRefs)
+      .then(resources => Promise.all(resources.map(resource =>
+        rebuildResource(resource, drizzleData)))
+      .then(() => drizzleData.options.manifest && writeManifest(drizzleData))
+      .then(() => finalizeWrites(drizzleData.options))
+      .then(written => {
+        drizzleData.written = written;
+      })
+      .then(() => ({
+        event,
+        path: filepath,
+        type,
+        resources: resources.map(resource => resource.id)
+      })));
+  };
+
+  const watchSource = (type, glob) => {
+    const fsWatcher = chokidar.watch(glob, { ignoreInitial: true });
+    fsWatchers.push(fsWatcher);
+    fsWatcher.on('all', (event, filepath) => {
+      const pendingKey = `${event}:${filepath}`;
+      if (watchEvents.indexOf(event) === -1 || pending[pendingKey]) {
+        return;
+      }
+      pending[pendingKey] = true;
+      queue = queue.then(() => {
+        delete pending[pendingKey];
+        return rebuild(type, event, path.resolve(filepath));
+      }).then(result => watcher.emit('rebuild', result)).catch(onError);
+    });
+    return new Promise(resolve => fsWatcher.on('ready', resolve));
+  };
+
+  watcher.close = () => {
+    closed = true;
+    fsWatchers.forEach(fsWatcher => fsWatcher.close());
+    return queue;
+  };
+
+  parseStages(options).then(parsedData => {
+    recordPageReferences(parsedData.tree.pages, parsedData.options, pageRefs);
+    return outputStages(parsedData);
+  }).then(builtData => {
+    const opts = builtData.options;
+    drizzleData = builtData;
+    watcher.emit('build', drizzleData);
+    if (closed) {
+      return;
+    }
+    const sources = Object.keys(opts.src)
+      .filter(srcKey => updaters.hasOwnProperty(srcKey))
+      .map(srcKey => watchSource(srcKey, opts.src[srcKey].glob));
+    if (isGlob(opts.helpers)) {
+      sources.push(watchSource('helpers', opts.helpers));
+    }
+    return Promise.all(sources).then(() => watcher.emit('ready'));
+  }).catch(onError);
+
+  return watcher;
+}
+
+export default watch;
@@ -0,0 +1,246 @@
+/**
+ * Apply a change to a single source file to already-parsed drizzleData,
+ * without re-running the whole parse stage.
+ * @module watch/update
+ */
+import path from 'path';
+
+import parseData from '../parse/data';
+import parsePages from '../parse/pages';
+import parsePatterns from '../parse/patterns';
+import parseTree from '../parse/tree';
+import { deepObj, resourceId, resourceKey } from '../utils/object';
+import { fileResource, getFiles, readFiles } from '../utils/parse';
+import { eachEngine, matchEngine } from '../utils/render';
+import { idKeys, keyname, relativePathArray } from '../utils/shared';
+import { removeOutput } from '../utils/write';
+
+/**
+ * Re-derive `drizzleData.tree` after resources have been added or removed.
+ *
+ * @param {Object} drizzleData    Mutated in place
+ * @return {Object} drizzleData
+ */
+function rebuildTree (drizzleData) {
+  drizzleData.tree = parseTree([
+    drizzleData.data,
+    drizzleData.pages,
+    drizzleData.patterns,
+    drizzleData.templates
+  ], drizzleData.options).tree;
+  return drizzleData;
+}
+
+/**
+ * Remove the entry for resource `id` from a resource object (e.g. `pages`).
+ *
+ * @param {String} id
+ * @param {Object} resources
+ * @return {Object} the removed resource, if there was one
+ */
+function removeResource (id, resources) {
+  const keys = idKeys(id).slice(1);
+  const resourceKey = keys.pop();
+  const parent = keys.reduce((prev, curr) => prev && prev[curr], resources);
+  if (!parent) {
+    return undefined;
+  }
+  const resource = parent[resourceKey];
+  delete parent[resourceKey];
+  return resource;
+}
+
+/**
+ * Read a single file and add it (or replace it) as a resource in
+ * `resources`.
+ *
+ * @param {String} filepath
+ * @param {Object} resources  e.g. `drizzleData.pages`
+ * @param {Object} src        Object with `glob` and `basedir`
+ * @param {Object} prefix     Resource keys, e.g. `options.keys.pages`
+ * @param {Object} options
+ * @return {Promise} resolving to the resource
+ */
+function readResource (filepath, resources, src, prefix, options) {
+  return readFiles(filepath, options).then(files => {
+    const resource = fileResource(files[0], src, prefix, options);
+    deepObj(relativePathArray(resource.path, src.basedir),
+      resources)[resourceKey(resource)] = resource;
+    return resource;
+  });
+}
+
+/**
+ * Apply a change to a page file. A deleted page's output file is removed.
+ *
+ * @param {String} filepath
+ * @param {String} event        'add', 'change' or 'unlink'
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise} resolving to the (unrendered) page, or `undefined` if
+ *                   the page was removed
+ */
+function updatePage (filepath, event, drizzleData) {
+  const options = drizzleData.options;
+  if (event === 'unlink') {
+    const page = removeResource(resourceId({ path: filepath },
+      options.src.pages.basedir, options.keys.pages.plural), drizzleData.pages);
+    rebuildTree(drizzleData);
+    return removeOutput(page && page.outputPath, options)
+      .then(() => undefined);
+  }
+  return readResource(filepath, drizzleData.pages, options.src.pages,
+    options.keys.pages, options).then(page => {
+      rebuildTree(drizzleData);
+      return page;
+    });
+}
+
+/**
+ * Re-read all of the page files, e.g. because something every page depends
+ * on has changed.
+ *
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise} resolving to the (unrendered) pages tree
+ */
+function updatePages (drizzleData) {
+  return parsePages(drizzleData.options).then(pages => {
+    drizzleData.pages = pages;
+    rebuildTree(drizzleData);
+    return pages;
+  });
+}
+
+/**
+ * Apply a change to a template (layout or partial) file: (re-)register it as
+ * a partial and update `drizzleData.templates`.
+ *
+ * @param {String} filepath
+ * @param {String} event
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise} resolving to the key of the changed partial
+ */
+function updateTemplate (filepath, event, drizzleData) {
+  const options = drizzleData.options;
+  const src = options.src.templates;
+  const partialKey = resourceId({ path: filepath }, src.basedir);
+  const engine = matchEngine(filepath, options);
+  if (event === 'unlink') {
+    engine.unregisterPartial(partialKey);
+    removeResource(resourceId({ path: filepath }, src.basedir,
+      options.keys.templates.plural), drizzleData.templates);
+    return Promise.resolve(partialKey);
+  }
+  return readResource(filepath, drizzleData.templates, src,
+    options.keys.templates, options).then(template => {
+      engine.registerPartial(partialKey, template.contents);
+      return partialKey;
+    });
+}
+
+/**
+ * Re-parse the patterns in the same directory as the pattern file `filepath`
+ * and swap the collection they make up into `drizzleData.patterns`. The rest
+ * of the patterns are left alone: collections are built only from the
+ * patterns directly within them. If no patterns are left, the collection is
+ * dropped and its output file removed.
+ *
+ * @param {String} filepath
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise}
+ */
+function updateCollection (filepath, drizzleData) {
+  const options = drizzleData.options;
+  const src = options.src.patterns;
+  const dirpath = path.dirname(filepath);
+  const dirKeys = relativePathArray(filepath, src.basedir);
+  return getFiles(src.glob).then(paths => paths.filter(filepath =>
+    path.resolve(path.dirname(filepath)) === dirpath)
+  ).then(paths => parsePatterns(options, Object.assign({}, src, {
+    glob: paths
+  }))).then(parsed => {
+    const fresh = dirKeys.reduce((prev, curr) => prev && prev[curr], parsed);
+    const dirObj = deepObj(dirKeys, drizzleData.patterns);
+    const stale = dirObj.collection;
+    if (fresh && fresh.collection) {
+      dirObj.collection = fresh.collection;
+      return undefined;
+    }
+    delete dirObj.collection;
+    if (dirKeys.length && !Object.keys(dirObj).length) {
+      delete deepObj(dirKeys.slice(0, -1), drizzleData.patterns)[
+        dirKeys[dirKeys.length - 1]];
+    }
+    return removeOutput(stale && stale.outputPath, options);
+  });
+}
+
+/**
+ * Apply a change to a pattern file: (re-)register its partial and rebuild
+ * its collection, as collection membership, ordering and naming can all
+ * depend on any individual pattern.
+ *
+ * @param {String} filepath
+ * @param {String} event
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise} resolving to the ID of the changed pattern
+ */
+function updatePattern (filepath, event, drizzleData) {
+  const options = drizzleData.options;
+  const patternId = resourceId({ path: filepath },
+    options.src.patterns.basedir, options.keys.patterns.plural);
+  const engine = matchEngine(filepath, options);
+  const register = (event === 'unlink') ?
+    Promise.resolve(engine.unregisterPartial(patternId)) :
+    readFiles(filepath, options).then(files => {
+      engine.registerPartial(patternId, files[0].contents);
+    });
+  return register.then(() => updateCollection(filepath, drizzleData))
+    .then(() => {
+      rebuildTree(drizzleData);
+      return patternId;
+    });
+}
+
+/**
+ * Re-read all data files.
+ *
+ * @param {Object} drizzleData  Mutated in place
+ * @return {Promise} resolving to the data object
+ */
+function updateData (drizzleData) {
+  return parseData(drizzleData.options).then(data => {
+    drizzleData.data = data;
+    return data;
+  });
+}
+
+/**
+ * Apply a change to a helper module: drop it from the `require` cache and
+ * (re-)register it on every template engine.
+ *
+ * @param {String} filepath
+ * @param {String} event
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to the helper's name
+ */
+function updateHelper (filepath, event, drizzleData) {
+  const helperKey = keyname(filepath);
+  delete require.cache[filepath];
+  eachEngine(drizzleData.options, engine => {
+    if (event === 'unlink') {
+      engine.unregisterHelper(helperKey);
+    } else {
+      engine.registerHelper(helperKey, require(filepath));
+    }
+  });
+  return Promise.resolve(helperKey);
+}
+
+export { rebuildTree,
+         updateData,
+         updateHelper,
+         updatePage,
+         updatePages,
+         updatePattern,
+         updateTemplate
+       };
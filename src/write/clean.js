@@ -0,0 +1,81 @@
+/**
+ * Remove stale output files.
+ * @module write/clean
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { isInside } from '../utils/shared';
+import { manifestPath } from './manifest';
+import DrizzleError from '../utils/error';
+
+/**
+ * Absolute paths of every file written by this build, including the build
+ * manifest (if `options.manifest` is set), which is written after cleaning.
+ * @param {Object} drizzleData
+ * @return {Array}
+ */
+function outputPaths (drizzleData) {
+  const tree = drizzleData.tree;
+  const manifest = (drizzleData.options.manifest) ?
+    [manifestPath(drizzleData.options)] : [];
+  return tree.pages.concat(tree.collections, tree.patterns)
+    .filter(resource => resource.outputPath)
+    .map(resource => resource.outputPath)
+    .concat(manifest)
+    .map(filepath => path.resolve(filepath));
+}
+
+/**
+ * Check that `dest.root` is safe to clean: it must not be the working
+ * directory or one of its ancestors. Check this before writing anything.
+ *
+ * @param {Object} options
+ * @return {Promise} rejecting with a DrizzleError if it isn't safe
+ */
+function checkCleanable (options) {
+  const root = path.resolve(options.dest.root);
+  const cwd = process.cwd();
+  if (root === cwd || isInside(cwd, root)) {
+    return Promise.reject(new DrizzleError(`Refusing to clean
+'${root}': 'dest.root' contains the working directory`,
+      DrizzleError.LEVELS.ERROR));
+  }
+  return Promise.resolve(options);
+}
+
+/**
+ * Delete files under `dest.root` that this build did not write (e.g. output
+ * of renamed or deleted pages and patterns), along with directories left
+ * empty. Never deletes anything outside of `dest.root`. @see checkCleanable
+ * With `options.dryRun`, the stale files are found but not deleted.
+ *
+ * Files are listed and removed with the writer adapter
+ * (@see utils/write.write); writers without `list` and `remove` have nothing
+ * to clean.
+ *
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to {Array} of removed paths
+ */
+function clean (drizzleData) {
+  const options = drizzleData.options;
+  const writer = options.writer;
+  if (!writer || typeof writer.list !== 'function' ||
+    typeof writer.remove !== 'function') {
+    return Promise.resolve([]);
+  }
+  const root = path.resolve(options.dest.root);
+  const written = outputPaths(drizzleData);
+  return Promise.resolve(writer.list(root)).then(files => {
+    const stale = files.filter(file => {
+      const resolved = path.resolve(file);
+      return isInside(resolved, root) && written.indexOf(resolved) === -1;
+    });
+    if (options.dryRun) {
+      return stale.map(file => path.resolve(file));
+    }
+    return Promise.each(stale, file => writer.remove(file, root))
+      .then(() => stale.map(file => path.resolve(file)));
+  });
+}
+
+export { checkCleanable, clean };
@@ -1,4 +1,5 @@
 import { writePage } from '../utils/write';
+import { collectionSource, resourceDest } from '../utils/shared';
 import DrizzleError from '../utils/error';
 
 const hasCollection = patterns => patterns.hasOwnProperty('collection');
@@ -15,8 +16,8 @@ const isCollection = patterns => patterns.hasOwnProperty('items');
 function walkCollections (patterns, drizzleData, writePromises = []) {
   if (hasCollection(patterns)) {
     writePromises.push(writePage(patterns.collection.id, patterns.collection,
-      drizzleData.options.dest.patterns,
-      drizzleData.options.keys.collections.plural));
+      resourceDest('collections', drizzleData.options), drizzleData.options,
+      collectionSource(patterns.collection)));
   }
   for (const patternKey in patterns) {
     if (!isCollection(patterns[patternKey])) {
@@ -28,17 +29,22 @@ function walkCollections (patterns, drizzleData, writePromises = []) {
 }
 
 /**
- * Traverse the patterns object and write out collections HTML pages.
+ * Traverse the patterns object and write out collections HTML pages. With
+ * `options.dryRun`, nothing is written; the planned operations are returned
+ * instead. @see utils/write.writePage
  *
  * @param {Object} drizzleData
- * @return {Promise} resolving to {Object} drizzleData
+ * @return {Promise} resolving to {Object} drizzleData, or {Array} of
+ *                   operations in a dry run
  */
 function writeCollections (drizzleData) {
   return Promise.all(walkCollections(
     drizzleData.patterns,
     drizzleData)
-  ).then(writePromises => drizzleData,
-         error => DrizzleError.error(error, drizzleData.options.debug));
+  ).then(operations => (drizzleData.options.dryRun) ?
+      operations : drizzleData,
+         error => DrizzleError.error(error, drizzleData.options.debug,
+           { stage: 'write' }));
 }
 
 export default writeCollections;
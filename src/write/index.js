@@ -1,22 +1,70 @@
 import writePages from './pages';
 import writeCollections from './collections';
+import writePatterns from './patterns';
+import { checkCleanable, clean } from './clean';
+import { writeManifest } from './manifest';
 
+import { finalizeWrites } from '../utils/write';
+import { elapsed, recordTiming } from '../utils/timings';
 import DrizzleError from '../utils/error';
 
 /**
- * Write pages and collection-pages to filesystem.
+ * Describe the removal of a stale file in a dry run.
+ * @param {String} filepath
+ * @return {Object} operation @see utils/write.writePage
+ */
+const deleteOperation = filepath => ({
+  path: filepath,
+  bytes: 0,
+  source: undefined,
+  action: 'delete'
+});
+
+/**
+ * Write pages, collection-pages and pattern preview pages with the writer
+ * adapter (`options.writer`; the filesystem by default). Files whose
+ * contents haven't changed are not rewritten. If `options.clean` is set,
+ * files under `dest.root` that weren't written are then removed. If
+ * `options.manifest` is set, the build manifest is written next
+ * (@see write/manifest). Finally, the writer's account of what it wrote is
+ * attached to drizzleData as `written`. @see utils/write
+ *
+ * With `options.dryRun`, nothing is written or removed: the planned
+ * operations are attached to drizzleData as `operations` instead.
  *
  * @param {Object} drizzleData All drizzle data so far
  * @return {Promise} resolving to drizzleData
  */
 function write (drizzleData) {
-  return Promise.all([
+  const { clean: cleaning, dryRun, manifest } = drizzleData.options;
+  const start = process.hrtime();
+  return (cleaning ? checkCleanable(drizzleData.options) : Promise.resolve())
+  .then(() => Promise.all([
     writePages(drizzleData),
-    writeCollections(drizzleData)
-  ]).then(
-    () => drizzleData,
-    error => DrizzleError.error(error, drizzleData.options)
-  );
+    writeCollections(drizzleData),
+    writePatterns(drizzleData)
+  ])).then(written => {
+    return Promise.resolve(cleaning ? clean(drizzleData) : [])
+      .then(removed => {
+        if (!manifest) {
+          return [removed];
+        }
+        // The manifest records the write stage's timing so far
+        recordTiming(drizzleData.options, 'write', elapsed(start));
+        return writeManifest(drizzleData).then(operation =>
+          [removed, operation]);
+      }).then(([removed, manifestOperation]) => {
+        if (dryRun) {
+          drizzleData.operations = [].concat(...written,
+            manifestOperation || [], removed.map(deleteOperation));
+        }
+        return finalizeWrites(drizzleData.options);
+      }).then(output => {
+        drizzleData.written = output;
+        return drizzleData;
+      });
+  }).catch(error => DrizzleError.error(error, drizzleData.options.debug,
+    { stage: 'write' }));
 }
 
 export default write;
@@ -0,0 +1,86 @@
+/**
+ * The build manifest: a JSON account of a build's output, written to
+ * `dest.root` if `options.manifest` is set.
+ * @module write/manifest
+ */
+import path from 'path';
+import { contentHash, writeOperation } from '../utils/write';
+import { collectionSource } from '../utils/shared';
+import { logCounts } from '../utils/logger';
+import { stageTimings } from '../utils/timings';
+
+const manifestFile = 'drizzle-manifest.json';
+
+/**
+ * @param {Object} options
+ * @return {String} path the manifest is written to
+ */
+function manifestPath (options) {
+  return path.join(options.dest.root, manifestFile);
+}
+
+/**
+ * Describe one written resource. A collection's `path` is its directory.
+ *
+ * @param {Object} resource   Page, collection or pattern
+ * @param {String} output     Its rendered output
+ * @param {String} layout     The layout it was rendered with
+ * @return {Object}
+ */
+function resourceEntry (resource, output, layout) {
+  return {
+    id: resource.id,
+    resourceType: resource.resourceType,
+    path: resource.path || collectionSource(resource),
+    outputPath: resource.outputPath,
+    hash: contentHash(output || ''),
+    bytes: Buffer.byteLength(output || ''),
+    layout: layout,
+    dataKeys: Object.keys(resource.data || {})
+  };
+}
+
+/**
+ * Build the manifest for a written build: every written page, collection
+ * and pattern preview page, stage timings (in milliseconds;
+ * @see utils/timings) and how many warnings and errors were logged. Resets
+ * the warning and error counts, so that each (re)build counts its own.
+ *
+ * @param {Object} drizzleData
+ * @return {Object} manifest
+ */
+function buildManifest (drizzleData) {
+  const options = drizzleData.options;
+  const layouts = options.layouts;
+  const tree = drizzleData.tree;
+  const patterns = (layouts.pattern) ? tree.patterns : [];
+  const resources = [].concat(
+    tree.pages.map(page => resourceEntry(page, page.contents,
+      (page.data && page.data.layout) || layouts.page)),
+    tree.collections.map(collection => resourceEntry(collection,
+      collection.contents, layouts.collection)),
+    patterns.map(pattern => resourceEntry(pattern, pattern.preview,
+      layouts.pattern))
+  ).filter(entry => entry.outputPath);
+  return Object.assign({
+    date: new Date().toISOString(),
+    resources: resources,
+    timings: stageTimings(options)
+  }, logCounts(options.debug, true));
+}
+
+/**
+ * Write the build manifest (@see buildManifest) with the writer adapter,
+ * and attach it to drizzleData as `manifest`.
+ *
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to the operation @see utils/write.writePage
+ */
+function writeManifest (drizzleData) {
+  const options = drizzleData.options;
+  drizzleData.manifest = buildManifest(drizzleData);
+  return writeOperation(manifestPath(options),
+    JSON.stringify(drizzleData.manifest, null, 2), undefined, options);
+}
+
+export { buildManifest, manifestPath, writeManifest };
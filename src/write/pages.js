@@ -15,26 +15,30 @@ const isPage = page => page.hasOwnProperty('contents');
 function walkPages (pages, drizzleData, writePromises = []) {
   if (isPage(pages)) {
     return writePage(pages.id, pages,
-      drizzleData.options.dest.pages,
-      drizzleData.options.keys.pages.plural);
+      drizzleData.options.dest.pages, drizzleData.options);
   }
   for (var pageKey in pages) {
     writePromises = writePromises.concat(
-      walkPages(pages[pageKey], drizzleData, writePromises));
+      walkPages(pages[pageKey], drizzleData));
   }
   return writePromises;
 }
 
 /**
- * Write out HTML pages for pages data.
+ * Write out HTML pages for pages data. With `options.dryRun`, nothing is
+ * written; the planned operations are returned instead.
+ * @see utils/write.writePage
  *
  * @param {Object} drizzleData
- * @return {Promise} resolving to drizzleData
+ * @return {Promise} resolving to drizzleData, or {Array} of operations in a
+ *                   dry run
  */
 function writePages (drizzleData) {
   return Promise.all(walkPages(drizzleData.pages, drizzleData))
-    .then(() => drizzleData,
-          error => DrizzleError.error(error, drizzleData.options.debug));
+    .then(operations => (drizzleData.options.dryRun) ?
+      operations : drizzleData,
+          error => DrizzleError.error(error, drizzleData.options.debug,
+            { stage: 'write' }));
 }
 
 export default writePages;
@@ -0,0 +1,24 @@
+import { writePatternPage } from '../utils/write';
+import { resourceDest } from '../utils/shared';
+import DrizzleError from '../utils/error';
+
+/**
+ * Write out the standalone preview pages of patterns, if they were rendered
+ * (@see render/patterns). With `options.dryRun`, nothing is written; the
+ * planned operations are returned instead.
+ *
+ * @param {Object} drizzleData
+ * @return {Promise} resolving to {Object} drizzleData, or {Array} of
+ *                   operations in a dry run
+ */
+function writePatterns (drizzleData) {
+  const options = drizzleData.options;
+  const patterns = (options.layouts.pattern) ? drizzleData.tree.patterns : [];
+  return Promise.all(patterns.map(pattern =>
+    writePatternPage(pattern, resourceDest('patterns', options), options)
+  )).then(operations => (options.dryRun) ? operations : drizzleData,
+          error => DrizzleError.error(error, options.debug,
+            { stage: 'write' }));
+}
+
+export default writePatterns;
@@ -0,0 +1,161 @@
+/**
+ * Archive writer adapter: collects output into a single tar file
+ * (gzipped if its name ends in `.gz` or `.tgz`).
+ * @module writers/archive
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { writeFile as writeFileCB } from 'fs';
+import { gzip as gzipCB } from 'zlib';
+import {mkdirp as mkdirpCB} from 'mkdirp';
+import { isInside } from '../utils/shared';
+import DrizzleError from '../utils/error';
+var writeFile = Promise.promisify(writeFileCB);
+var gzip      = Promise.promisify(gzipCB);
+var mkdirp    = Promise.promisify(mkdirpCB);
+
+const BLOCK = 512;
+
+/**
+ * Zero-padded octal number field, NUL-terminated.
+ * @param {Number} value
+ * @param {Number} length   Field length, including the NUL
+ * @return {String}
+ */
+const octal = (value, length) =>
+  `${'0'.repeat(length)}${value.toString(8)}`.slice(-(length - 1)) + '\0';
+
+/**
+ * Split an entry name into ustar `name` and `prefix` fields.
+ * @param {String} name
+ * @return {Array} [name, prefix]
+ */
+function splitName (name) {
+  if (name.length <= 100) {
+    return [name, ''];
+  }
+  const cut = name.indexOf('/', name.length - 101);
+  if (cut < 0 || cut > 155) {
+    throw new DrizzleError(`Path '${name}' is too long for a tar archive`,
+      DrizzleError.LEVELS.ERROR);
+  }
+  return [name.slice(cut + 1), name.slice(0, cut)];
+}
+
+/**
+ * ustar header block for a regular file.
+ * @param {String} name
+ * @param {Number} size   In bytes
+ * @param {Date} mtime
+ * @return {Buffer}
+ */
+function tarHeader (name, size, mtime) {
+  const header = Buffer.alloc(BLOCK);
+  const [entryName, prefix] = splitName(name);
+  header.write(entryName, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257);
+  header.write(prefix, 345, 155);
+  let checksum = 0;
+  for (var i = 0; i < BLOCK; i++) {
+    checksum += header[i];
+  }
+  header.write(`${octal(checksum, 7)} `, 148);
+  return header;
+}
+
+/**
+ * Build a tar archive.
+ * @param {Array} entries   [name, contents] pairs
+ * @return {Buffer}
+ */
+function tarball (entries) {
+  const mtime = new Date();
+  const blocks = [];
+  entries.forEach(([name, contents]) => {
+    const data = Buffer.from(contents);
+    const padding = (BLOCK - data.length % BLOCK) % BLOCK;
+    blocks.push(tarHeader(name, data.length, mtime), data,
+      Buffer.alloc(padding));
+  });
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Archive entry name for a file: its path relative to `root`, with `/`
+ * separators. Archives can only hold files under `root`; entry names
+ * climbing out of it (`../`) would be extracted outside of the archive's
+ * directory.
+ * @param {String} filepath   Absolute path
+ * @param {String} root       Absolute path of `dest.root`
+ * @return {String}
+ */
+function entryName (filepath, root) {
+  if (!isInside(filepath, root)) {
+    throw new DrizzleError(`Cannot archive '${filepath}': it is not inside
+dest.root ('${root}'). Check 'options.dest' to make sure all output goes under
+dest.root`, DrizzleError.LEVELS.ERROR);
+  }
+  return path.relative(root, filepath).split(path.sep).join('/');
+}
+
+/**
+ * Create an archive writer. Output is collected in memory (across builds)
+ * and `finalize` writes it all to the archive file. Entries are named
+ * relative to `dest.root`; finalizing fails if anything was written outside
+ * of it.
+ *
+ * @param {Object} archiveOptions
+ *  - {String} path: Archive file path. Defaults to `dest.root` + '.tar'
+ *  - {Boolean} gzip: Compress the archive. Defaults to `true` if the path
+ *                    ends in `.gz` or `.tgz`
+ * @return {Object} writer adapter @see utils/write
+ */
+function archiveWriter (archiveOptions = {}) {
+  const files = new Map();
+  return {
+    name: 'archive',
+    read: filepath => Promise.reject(
+      new Error(`'${filepath}' is not read back from archives`)),
+    write: (filepath, contents) => {
+      files.set(path.resolve(filepath), contents);
+      return Promise.resolve();
+    },
+    list: dir => Promise.resolve(Array.from(files.keys()).filter(key =>
+      isInside(key, path.resolve(dir)))),
+    remove: filepath => {
+      files.delete(path.resolve(filepath));
+      return Promise.resolve();
+    },
+    finalize: options => {
+      const root = path.resolve(options.dest.root);
+      const archivePath = archiveOptions.path ||
+        `${path.normalize(options.dest.root)}.tar`;
+      const compress = (archiveOptions.hasOwnProperty('gzip')) ?
+        archiveOptions.gzip : /\.(gz|tgz)$/.test(archivePath);
+      let entries;
+      return Promise.try(() => {
+        entries = Array.from(files.keys()).sort().map(filepath => [
+          entryName(filepath, root),
+          files.get(filepath)
+        ]);
+        return tarball(entries);
+      }).then(archive => compress ? gzip(archive) : archive)
+        .then(archive => mkdirp(path.dirname(archivePath))
+          .then(() => writeFile(archivePath, archive)))
+        .then(() => ({
+          path: archivePath,
+          files: entries.map(entry => entry[0])
+        }));
+    }
+  };
+}
+
+export default archiveWriter;
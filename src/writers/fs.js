@@ -0,0 +1,65 @@
+/**
+ * Filesystem writer adapter—the default writer.
+ * @module writers/fs
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import {
+  readFile as readFileCB,
+  rmdir as rmdirCB,
+  unlink as unlinkCB,
+  writeFile as writeFileCB
+} from 'fs';
+import {mkdirp as mkdirpCB} from 'mkdirp';
+import { getFiles } from '../utils/parse';
+import { isInside } from '../utils/shared';
+var readFile  = Promise.promisify(readFileCB);
+var rmdir     = Promise.promisify(rmdirCB);
+var unlink    = Promise.promisify(unlinkCB);
+var writeFile = Promise.promisify(writeFileCB);
+var mkdirp    = Promise.promisify(mkdirpCB);
+
+/**
+ * Remove directories left empty by removing `filepath`, up to (not
+ * including) `root`.
+ * @param {String} filepath
+ * @param {String} root
+ * @return {Promise}
+ */
+function removeEmptyParents (filepath, root) {
+  const dir = path.dirname(filepath);
+  if (!isInside(dir, root)) {
+    return Promise.resolve();
+  }
+  return rmdir(dir).then(() => removeEmptyParents(dir, root), () => {});
+}
+
+/**
+ * Create a filesystem writer. `finalize` resolves to the paths written
+ * since the previous `finalize`, i.e. during the current build.
+ *
+ * @return {Object} writer adapter @see utils/write
+ */
+function fsWriter () {
+  let written = [];
+  return {
+    name: 'fs',
+    read: filepath => readFile(filepath),
+    write: (filepath, contents) => mkdirp(path.dirname(filepath))
+      .then(() => writeFile(filepath, contents))
+      .then(() => {
+        written.push(filepath);
+      }),
+    list: dir => getFiles(path.join(dir, '**/*'), { dot: true }),
+    remove: (filepath, root) => unlink(filepath)
+      .then(() => removeEmptyParents(path.resolve(filepath),
+        path.resolve(root))),
+    finalize: () => {
+      const files = written;
+      written = [];
+      return Promise.resolve({ files });
+    }
+  };
+}
+
+export default fsWriter;
@@ -0,0 +1,39 @@
+/**
+ * In-memory writer adapter, for tests and server-side rendering.
+ * @module writers/memory
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { isInside } from '../utils/shared';
+
+/**
+ * Create an in-memory writer. Output is kept in its `files` Map, keyed by
+ * (normalized) output path, across builds.
+ *
+ * @return {Object} writer adapter @see utils/write
+ */
+function memoryWriter () {
+  const files = new Map();
+  return {
+    name: 'memory',
+    files: files,
+    read: filepath => {
+      const key = path.normalize(filepath);
+      return files.has(key) ? Promise.resolve(files.get(key)) :
+        Promise.reject(new Error(`No such file '${filepath}'`));
+    },
+    write: (filepath, contents) => {
+      files.set(path.normalize(filepath), contents);
+      return Promise.resolve();
+    },
+    list: dir => Promise.resolve(Array.from(files.keys()).filter(key =>
+      isInside(path.resolve(key), path.resolve(dir)))),
+    remove: filepath => {
+      files.delete(path.normalize(filepath));
+      return Promise.resolve();
+    },
+    finalize: () => Promise.resolve({ files })
+  };
+}
+
+export default memoryWriter;
@@ -0,0 +1,99 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var config = require('./config');
+var drizzle = require('../dist/');
+var DrizzleError = require('../dist/utils/error');
+
+const destRoot = './test/dist/api';
+
+describe ('api', () => {
+  var drizzleData;
+  before (() => {
+    return drizzle.prepare(config.copiedFixtureOpts(config.fixtures, destRoot))
+      .then(drizzle.parse)
+      .then(parsed => {
+        drizzleData = parsed;
+      });
+  });
+  describe ('prepare and parse', () => {
+    it ('should prepare templating on the options', () => {
+      expect(drizzleData.options.handlebars.helpers).to.contain.keys(
+        'pattern', 'data');
+      expect(drizzleData.options.handlebars.partials).to.contain.keys(
+        'patterns.components.button.base');
+    });
+    it ('should parse into drizzleData', () => {
+      expect(drizzleData).to.contain.keys('data', 'pages', 'patterns',
+        'templates', 'tree', 'options');
+    });
+  });
+  describe ('renderPage', () => {
+    it ('should render a page to HTML', () => {
+      return drizzle.renderPage(drizzleData, 'pages.doThis').then(html => {
+        expect(html).to.contain('<h2>foobar</h2>');
+        expect(html).to.contain('<h1>This is the Page Layout</h1>');
+      });
+    });
+    it ('should not change drizzleData, or write anything', () => {
+      const source = drizzleData.pages.doThis.contents;
+      return drizzle.renderPage(drizzleData, 'doThis')
+        .then(() => drizzle.renderPage(drizzleData, 'doThis'))
+        .then(html => {
+          expect(drizzleData.pages.doThis.contents).to.equal(source);
+          expect(html).to.contain('<h2>foobar</h2>');
+          expect(fs.existsSync(destRoot)).to.be.false;
+        });
+    });
+    it ('should render collection pages', () => {
+      return drizzle.renderPage(drizzleData, 'collections.components.button')
+        .then(html => {
+          expect(html).to.contain('pattern-button');
+        });
+    });
+    it ('should reject unknown IDs', () => {
+      return drizzle.renderPage(drizzleData, 'pages.nope').then(() => {
+        throw new Error('Expected an error');
+      }, error => {
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.message).to.contain('pages.nope');
+      });
+    });
+  });
+  describe ('renderPattern', () => {
+    const id = 'patterns.components.button.base';
+    it ('should render a pattern with its own context', () => {
+      return drizzle.renderPattern(drizzleData, id).then(html => {
+        expect(html).to.contain('<button class="pattern-button ');
+        expect(html).not.to.contain('disabled');
+      });
+    });
+    it ('should apply context overrides', () => {
+      return drizzle.renderPattern(drizzleData, id, {
+        class: 'is-big',
+        disabled: true
+      }).then(html => {
+        expect(html).to.contain('pattern-button is-big');
+        expect(html).to.contain(' disabled');
+      });
+    });
+    it ('should reject unknown IDs', () => {
+      return drizzle.renderPattern(drizzleData, 'patterns.nope.nope')
+        .then(() => {
+          throw new Error('Expected an error');
+        }, error => {
+          expect(error).to.be.an.instanceof(DrizzleError);
+        });
+    });
+  });
+  describe ('render', () => {
+    it ('should render all resources without writing', () => {
+      return drizzle.prepare(config.copiedFixtureOpts(config.fixtures,
+        destRoot)).then(drizzle.parse).then(drizzle.render)
+        .then(rendered => {
+          expect(rendered.pages.doThis.contents).to.contain('<h2>foobar</h2>');
+          expect(fs.existsSync(destRoot)).to.be.false;
+        });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('./config');
+var cli = require('../dist/cli');
+var DrizzleError = require('../dist/utils/error');
+
+/**
+ * Command-line flags pointing all sources at the fixtures.
+ */
+function fixtureFlags () {
+  var flags = ['--dest.root', './test/dist/cli'];
+  ['data', 'pages', 'templates'].forEach(srcKey => {
+    flags.push(`--src.${srcKey}.glob`, config.fixturePath(`${srcKey}/**/*`));
+    flags.push(`--src.${srcKey}.basedir`, config.fixturePath(srcKey));
+  });
+  flags.push('--src.patterns.glob',
+    config.fixturePath('patterns/**/*.{html,hbs}'));
+  flags.push('--src.patterns.basedir', config.fixturePath('patterns'));
+  flags.push('--dest.pages', './test/dist/cli');
+  flags.push('--dest.patterns', './test/dist/cli/patterns');
+  flags.push('--helpers', config.fixturePath('helpers/**/*.js'));
+  return flags;
+}
+
+describe ('cli', () => {
+  var output;
+  const log = msg => output.push(msg);
+  beforeEach (() => {
+    output = [];
+  });
+  describe ('inspect', () => {
+    it ('should print the resolved options and tree as JSON', () => {
+      return cli(['inspect'].concat(fixtureFlags()), log).then(() => {
+        const inspected = JSON.parse(output[0]);
+        expect(inspected).to.have.keys('tree', 'options');
+        expect(inspected.tree).to.have.keys('pages', 'collections',
+          'patterns');
+        expect(inspected.tree.collections).to.have.length.above(0);
+        expect(inspected.options).not.to.have.key('handlebars');
+      });
+    });
+    it ('should map dotted flags onto nested options', () => {
+      return cli(['inspect', '--dest.root', './foo', '--serve.port', '8080',
+        '--no-serve.livereload'], log)
+      .then(drizzleData => {
+        expect(drizzleData.options.dest.root).to.equal('./foo');
+        expect(drizzleData.options.dest.pages).to.equal('./dist/pages');
+        expect(drizzleData.options.serve.port).to.equal(8080);
+        expect(drizzleData.options.serve.livereload).to.be.false;
+      });
+    });
+    it ('should read path flags as strings', () => {
+      return cli(['inspect', '--dest.root', '123', '--dest.pages',
+        '456'], log).then(drizzleData => {
+          expect(drizzleData.options.dest.root).to.equal('123');
+          expect(drizzleData.options.dest.pages).to.equal('456');
+        });
+    });
+    it ('should not use a config file with --no-config or --config false',
+      () => {
+        return Promise.all([
+          cli(['inspect', '--no-config'].concat(fixtureFlags()), log),
+          cli(['inspect', '--config=false'].concat(fixtureFlags()), log)
+        ]).then(results => results.forEach(drizzleData => {
+          expect(drizzleData.options.config).to.be.false;
+        }));
+      });
+    it ('should prepare and run plugin hooks, like build', () => {
+      return cli(['inspect', '--config',
+        config.fixturePath('config/instances/drizzle.config.js')]
+        .concat(fixtureFlags()), log).then(drizzleData => {
+          expect(drizzleData.options.pluginRan).to.be.true;
+          expect(drizzleData.options.handlebars.partials)
+            .to.contain.keys('default');
+        });
+    });
+  });
+  describe ('build', () => {
+    it ('should build by default', () => {
+      return cli(fixtureFlags(), log).then(drizzleData => {
+        expect(drizzleData.pages).to.be.an('object');
+        expect(output[0]).to.match(/^Built \d+ page\(s\) and \d+ collection/);
+      });
+    });
+    it ('should list planned operations with --dry-run', () => {
+      return cli(['build', '--dry-run'].concat(fixtureFlags()), log)
+      .then(drizzleData => {
+        expect(drizzleData.options.dryRun).to.be.true;
+        expect(output).to.have.length(drizzleData.operations.length + 1);
+        expect(output[0]).to.match(/^(create|update|unchanged) .+ bytes\)$/);
+        expect(output[output.length - 1]).to.contain('Dry run');
+      });
+    });
+  });
+  describe ('build with failureMode continue', () => {
+    const exitCode = process.exitCode;
+    after (() => {
+      process.exitCode = exitCode;
+    });
+    it ('should list failed resources and exit with code 1', () => {
+      return cli(['build', '--failureMode', 'continue', '--layouts.page',
+        'does-not-exist'].concat(fixtureFlags()), log).then(drizzleData => {
+          expect(drizzleData.errors).to.have.length.above(0);
+          expect(output[1]).to.contain('failed to render');
+          expect(process.exitCode).to.equal(1);
+        });
+    });
+  });
+  describe ('usage', () => {
+    it ('should print usage with --help', () => {
+      return cli(['--help'], log).then(() => {
+        expect(output[0]).to.contain('Usage: drizzle');
+      });
+    });
+    it ('should reject unknown commands', () => {
+      return cli(['explode'], log).then(() => {
+        throw new Error('Unknown command should have been rejected');
+      }, error => {
+        expect(error).to.be.instanceof(DrizzleError);
+        expect(error.message).to.contain('explode');
+      });
+    });
+  });
+});
@@ -46,6 +46,47 @@ function fixturePath (glob) {
   return path.normalize(path.join(fixtures, glob));
 }
 
+/**
+ * Options for building from copies of the fixtures (@see
+ * test-utils.copyFixtures), for tests that change source files.
+ */
+function copiedFixtureOpts (srcRoot, destRoot) {
+  const globs = {
+    data: 'data/**/*',
+    pages: 'pages/**/*',
+    patterns: 'patterns/**/*.{html,hbs}',
+    templates: 'templates/**/*'
+  };
+  const src = {};
+  for (const srcKey in globs) {
+    src[srcKey] = {
+      glob: path.resolve(srcRoot, globs[srcKey]),
+      basedir: path.resolve(srcRoot, srcKey)
+    };
+  }
+  return {
+    debug: { logFn: msg => msg },
+    src: src,
+    dest: {
+      root: destRoot,
+      collections: `${destRoot}/patterns`,
+      pages: destRoot,
+      patterns: `${destRoot}/patterns`,
+      previews: `${destRoot}/previews`
+    },
+    helpers: fixturePath('helpers/**/*.js'),
+    parsers: parsers
+  };
+}
+
+/**
+ * Options for a build of copied fixtures into `destRoot`, with `extraOpts`
+ * (the options under test) merged over them.
+ */
+function fixtureBuildOpts (destRoot, extraOpts) {
+  return Object.assign(copiedFixtureOpts(fixtures, destRoot), extraOpts);
+}
+
 function init (options) {
   options = options || config.fixtureOpts;
   return drizzleInit(options).then(opts => {
@@ -56,6 +97,8 @@ function init (options) {
 
 var config = {
   parsers,
+  copiedFixtureOpts,
+  fixtureBuildOpts,
   fixturePath,
   fixtures,
   init: init,
@@ -85,7 +128,8 @@ var config = {
       root: './test/dist',
       collections: './test/dist/patterns',
       pages: './test/dist',
-      patterns: './test/dist/patterns'
+      patterns: './test/dist/patterns',
+      previews: './test/dist/previews'
     },
     helpers: fixturePath('helpers/**/*.js'),
     parsers: parsers
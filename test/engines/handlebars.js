@@ -0,0 +1,43 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Handlebars = require('handlebars');
+var handlebarsEngine = require('../../dist/engines/handlebars');
+
+describe ('engines/handlebars', () => {
+  var options, engine;
+  beforeEach (() => {
+    options = { handlebars: Handlebars.create() };
+    engine = handlebarsEngine(options);
+  });
+  it ('should compile templates', () => {
+    expect(engine.compile('Hi {{name}}')({ name: 'there' }))
+      .to.equal('Hi there');
+  });
+  it ('should register and unregister partials', () => {
+    engine.registerPartial('foo', 'Foo');
+    expect(engine.hasPartial('foo')).to.be.true;
+    expect(engine.partial('foo')).to.equal('Foo');
+    engine.unregisterPartial('foo');
+    expect(engine.hasPartial('foo')).to.be.false;
+  });
+  it ('should register helpers', () => {
+    engine.registerHelper('shout', str => `${str}!`);
+    expect(engine.compile('{{shout "hey"}}')({})).to.equal('hey!');
+  });
+  it ('should use the current Handlebars instance on options', () => {
+    options.handlebars = Handlebars.create();
+    engine.registerPartial('bar', 'Bar');
+    expect(options.handlebars.partials).to.contain.keys('bar');
+  });
+  describe ('wrapping with layouts', () => {
+    it ('should wrap contents with an extend block', () => {
+      const wrapped = engine.wrapWithLayout('<p>Hi</p>', 'default');
+      expect(wrapped).to.contain('{{#extend \'default\' }}');
+      expect(wrapped).to.contain('{{#content \'main\'}}<p>Hi</p>');
+    });
+    it ('should not double-wrap contents that already extend', () => {
+      const contents = '{{#extend "default"}}{{/extend}}';
+      expect(engine.wrapWithLayout(contents, 'default')).to.equal(contents);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+var EventEmitter = require('events').EventEmitter;
+
+function Plugin () {
+  this.name = 'instance';
+}
+Plugin.prototype.afterInit = function (options) {
+  options.pluginRan = true;
+};
+
+module.exports = {
+  plugins: [new Plugin()],
+  reporter: new EventEmitter(),
+  dest: {
+    root: './out'
+  }
+};
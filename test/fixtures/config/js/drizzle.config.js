@@ -0,0 +1,6 @@
+module.exports = {
+  layouts: {
+    page: 'fromjs'
+  },
+  helpers: './helpers/*.js'
+};
@@ -0,0 +1,4 @@
+---
+title: Toy page
+---
+Hello from ${title}
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Kill the render worker this is called in (with SIGKILL, so it can't clean
+ * up). Does nothing outside of worker processes.
+ *
+ * @example
+ *
+ *   {{killWorker}}
+ */
+
+module.exports = function killWorker () {
+  if (process.send) {
+    process.kill(process.pid, 'SIGKILL');
+  }
+  return '';
+};
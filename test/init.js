@@ -2,6 +2,7 @@ var chai = require('chai');
 var config = require('./config');
 var expect = chai.expect;
 var init = require('../dist/init');
+var DrizzleError = require('../dist/utils/error');
 
 var Handlebars = require('handlebars');
 
@@ -59,7 +60,8 @@ describe ('init', () => {
     });
     it('should provide default destination entries', () => {
       return opts.then(options => {
-        expect(options.dest).to.have.keys('root', 'pages', 'patterns', 'collections');
+        expect(options.dest).to.have.keys('root', 'pages', 'patterns',
+          'collections', 'previews');
         expect(options.dest.patterns).to.equal('./dist/patterns');
       });
     });
@@ -91,12 +93,12 @@ describe ('init', () => {
     it('should allow override of dest paths', () => {
       var opts = init({ dest: {
         patterns: 'bar/',
-        something: 'baz/'
+        root: 'baz/'
       }});
       return opts.then(options => {
         expect(options.dest).to.contain.keys(
-          'pages', 'patterns', 'something');
-        expect(options.dest.something).to.equal('baz/');
+          'pages', 'patterns', 'root');
+        expect(options.dest.root).to.equal('baz/');
         expect(options.dest.patterns).to.equal('bar/');
       });
     });
@@ -105,12 +107,44 @@ describe ('init', () => {
       var opts = init({
         layouts: {
           page: 'page',
-          entity: 'random'
+          collection: 'random'
         }
       });
       return opts.then(options => {
-        expect(options.layouts).to.contain.keys('page', 'collection', 'entity');
+        expect(options.layouts).to.contain.keys('page', 'collection');
         expect(options.layouts.page).to.equal('page');
+        expect(options.layouts.collection).to.equal('random');
+      });
+    });
+  });
+  describe('validating options', () => {
+    it ('should flag unknown keys, suggesting the closest valid key', () => {
+      return init({ layouts: { colection: 'random' } }).then(() => {
+        throw new Error('Unknown option should have been flagged');
+      }, error => {
+        expect(error).to.be.instanceof(DrizzleError);
+        expect(error.message).to.contain('layouts.colection');
+        expect(error.message).to.contain('layouts.collection');
+      });
+    });
+    it ('should reject options of the wrong type', () => {
+      return init({ helpers: 42 }).then(() => {
+        throw new Error('Invalid option should have been rejected');
+      }, error => {
+        expect(error).to.be.instanceof(DrizzleError);
+        expect(error.level).to.equal(DrizzleError.LEVELS.ERROR);
+        expect(error.message).to.contain('helpers');
+      });
+    });
+    it ('should flag explicitly-set src directories that do not exist', () => {
+      return init({ src: { pages: {
+        glob: 'nope/**/*',
+        basedir: 'nope'
+      }}}).then(() => {
+        throw new Error('Missing directory should have been flagged');
+      }, error => {
+        expect(error).to.be.instanceof(DrizzleError);
+        expect(error.message).to.contain('src.pages.basedir');
       });
     });
   });
@@ -0,0 +1,127 @@
+var chai = require('chai');
+var expect = chai.expect;
+var path = require('path');
+var fs = require('fs');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var testUtils = require('../test-utils');
+var middleware = require('../../dist/middleware/');
+
+const srcRoot = './test/dist/middleware-src';
+const destRoot = './test/dist/middleware';
+
+/**
+ * Make a request to `handler`.
+ * @return {Promise} resolving to `{ status, headers, body, next }`, where
+ *                   `next` is whether (and with what) `next` was called
+ */
+function request (handler, url) {
+  const result = { headers: {}, next: false };
+  const response = {
+    setHeader: (name, value) => result.headers[name] = value,
+    end: body => result.body = body
+  };
+  return handler({ method: 'GET', url: url }, response, error => {
+    result.next = error || true;
+  }).then(() => {
+    result.status = response.statusCode;
+    return result;
+  });
+}
+
+/**
+ * Change a source file, making sure its mtime changes.
+ */
+function touch (file, contents) {
+  fs.writeFileSync(file, contents);
+  const later = new Date(Date.now() + 10000);
+  fs.utimesSync(file, later, later);
+}
+
+describe ('middleware', () => {
+  var handler;
+  before (() => {
+    return rimraf(srcRoot)
+      .then(() => rimraf(destRoot))
+      .then(() => testUtils.copyFixtures(srcRoot))
+      .then(() => {
+        const opts = config.copiedFixtureOpts(srcRoot, destRoot);
+        opts.layouts = { pattern: 'pattern' };
+        handler = middleware(opts);
+      });
+  });
+
+  it ('should render pages on request', () => {
+    return request(handler, '/04-sandbox.html').then(result => {
+      expect(result.status).to.equal(200);
+      expect(result.headers['Content-Type']).to.contain('text/html');
+      expect(result.body).to.contain('<html');
+      expect(fs.existsSync(destRoot)).to.be.false;
+    });
+  });
+  it ('should map directory and extensionless URLs to pages', () => {
+    return Promise.all([
+      request(handler, '/'),
+      request(handler, '/follow-me/down/apage')
+    ]).then(results => {
+      expect(results[0].status).to.equal(200);
+      expect(results[1].status).to.equal(200);
+    });
+  });
+  it ('should render collection and pattern preview pages', () => {
+    return Promise.all([
+      request(handler, '/patterns/components/button.html'),
+      request(handler, '/previews/components/button/base.html')
+    ]).then(results => {
+      expect(results[0].body).to.contain('pattern-button');
+      expect(results[1].body).to.contain('pattern-button');
+    });
+  });
+  it ('should serve collections where the writers would write them', () => {
+    const opts = config.copiedFixtureOpts(srcRoot, destRoot);
+    opts.dest.collections = `${destRoot}/unused`;
+    const collectionsHandler = middleware(opts);
+    return Promise.all([
+      request(collectionsHandler, '/patterns/components/button.html'),
+      request(collectionsHandler, '/unused/components/button.html')
+    ]).then(results => {
+      expect(results[0].body).to.contain('pattern-button');
+      expect(results[1].next).to.be.true;
+    });
+  });
+  it ('should pass on requests for unknown resources', () => {
+    return request(handler, '/nope.html').then(result => {
+      expect(result.next).to.be.true;
+      expect(result.body).to.be.undefined;
+    });
+  });
+  it ('should re-parse changed pages', () => {
+    const file = path.resolve(srcRoot, 'pages/04-sandbox.html');
+    touch(file, fs.readFileSync(file, 'utf-8') + '\n<p>Changed</p>\n');
+    return request(handler, '/04-sandbox.html').then(result => {
+      expect(result.body).to.contain('<p>Changed</p>');
+    });
+  });
+  it ('should serve added pages and drop removed ones', () => {
+    const file = path.resolve(srcRoot, 'pages/added.html');
+    touch(file, '<p>Added</p>');
+    return request(handler, '/added.html').then(result => {
+      expect(result.body).to.contain('<p>Added</p>');
+      fs.unlinkSync(file);
+      return request(handler, '/added.html');
+    }).then(result => {
+      expect(result.next).to.be.true;
+    });
+  });
+  it ('should re-parse changed patterns', () => {
+    const file = path.resolve(srcRoot,
+      'patterns/components/button/base.html');
+    touch(file, fs.readFileSync(file, 'utf-8')
+      .replace('I am a button', 'I am a changed button'));
+    return request(handler, '/previews/components/button/base.html')
+      .then(result => {
+        expect(result.body).to.contain('I am a changed button');
+      });
+  });
+});
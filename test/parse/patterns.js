@@ -102,6 +102,79 @@ describe ('parse/patterns', () => {
       expect(collection.patterns[3]).to.equal(collection.items.base);
     });
   });
+  describe ('ordering patterns per collection metadata', () => {
+    var opts;
+    beforeEach (() => {
+      return config.init(config.fixtureOpts).then(options => opts = options);
+    });
+    it ('should order listed patterns first, then the rest', () => {
+      opts.src.patterns = {
+        glob: config.fixturePath('orderedPatterns/listed/*.html'),
+        basedir: config.fixturePath('orderedPatterns')
+      };
+      return parsePatterns(opts).then(patternData => {
+        var collection = patternData.listed.collection;
+        expect(collection.patterns.map(pattern => pattern.name)).to.deep.equal(
+          ['Gamma', 'Alpha', 'Delta', 'Beta']);
+      });
+    });
+    it ('should warn about listed patterns that do not exist', () => {
+      opts.src.patterns = {
+        glob: config.fixturePath('orderedPatterns/missing/*.html'),
+        basedir: config.fixturePath('orderedPatterns')
+      };
+      return parsePatterns(opts).then(() => {
+        throw new Error('Expected a warning');
+      }, error => {
+        expect(error).to.be.instanceof(DrizzleError);
+        expect(error.level).to.equal(DrizzleError.LEVELS.WARN);
+        expect(error.message).to.contain('nope');
+      });
+    });
+  });
+  describe ('expanding pattern variants', () => {
+    var collection;
+    before (() => {
+      return config.init(config.fixtureOpts).then(opts => {
+        opts.src.patterns = {
+          glob: config.fixturePath('variantPatterns/**/*.html'),
+          basedir: config.fixturePath('variantPatterns')
+        };
+        return parsePatterns(opts);
+      }).then(patternData => {
+        collection = patternData.buttons.collection;
+      });
+    });
+    it ('should expand front-matter variants into items', () => {
+      const small = collection.items['button--small'];
+      expect(small.id).to.equal('patterns.buttons.button--small');
+      expect(small.variantOf).to.equal('patterns.buttons.button');
+      expect(small.data).to.deep.equal({
+        label: 'Go', size: 'sm', name: 'Button: Small'
+      });
+      expect(collection.items['button--large'].name).to.equal('Big Button');
+    });
+    it ('should expand variants from sidecar data files', () => {
+      expect(collection.items).to.contain.keys(
+        'badge--active', 'badge--disabled');
+      expect(collection.items['badge--disabled'].data.state)
+        .to.equal('inactive');
+    });
+    it ('should list variants on their pattern', () => {
+      expect(collection.items.button.variants).to.deep.equal([
+        collection.items['button--small'], collection.items['button--large']
+      ]);
+    });
+    it ('should show variants in place of their pattern', () => {
+      expect(collection.patterns.map(pattern => pattern.id)).to.deep.equal([
+        'patterns.buttons.badge--active',
+        'patterns.buttons.badge--disabled',
+        'patterns.buttons.button--small',
+        'patterns.buttons.button--large',
+        'patterns.buttons.plain'
+      ]);
+    });
+  });
   describe ('pattern error situations', () => {
     var opts;
     beforeEach (() => {
@@ -0,0 +1,79 @@
+var chai = require('chai');
+var config = require('./config');
+var expect = chai.expect;
+var drizzle = require('../dist/');
+var deepExtend = require('deep-extend');
+var Promise = require('bluebird');
+var readFile = Promise.promisify(require('fs').readFile);
+
+describe ('pipeline', () => {
+  describe ('plugins', () => {
+    const calls = [];
+    const hook = name => function () { calls.push(name); };
+    const plugin = {
+      name: 'test',
+      helpers: {
+        shout: str => `${str}!`
+      },
+      partials: {
+        'plugins.greeting': 'Hello from a plugin'
+      },
+      afterInit: hook('afterInit'),
+      afterPrepare: hook('afterPrepare'),
+      afterParse: drizzleData => {
+        calls.push('afterParse');
+        drizzleData.data.fromPlugin = { contents: 'yes' };
+        return Promise.resolve(drizzleData);
+      },
+      beforeRender: hook('beforeRender'),
+      afterRenderResource: resource => {
+        if (resource.id === 'pages.index') {
+          calls.push('afterRenderResource');
+        }
+      },
+      beforeWrite: resource => {
+        if (resource.id === 'pages.index') {
+          calls.push('beforeWrite');
+          return { contents: resource.contents + '<!-- plugin -->' };
+        }
+      },
+      afterBuild: hook('afterBuild')
+    };
+    let drizzleData;
+    before (() => {
+      const options = deepExtend({}, config.fixtureOpts, {
+        dest: {
+          root: './test/dist/plugins',
+          collections: './test/dist/plugins/patterns',
+          pages: './test/dist/plugins',
+          patterns: './test/dist/plugins/patterns'
+        }
+      });
+      options.plugins = [plugin];
+      return drizzle(options).then(data => {
+        drizzleData = data;
+      });
+    });
+    it ('should run hooks in pipeline order', () => {
+      expect(calls).to.deep.equal(['afterInit', 'afterPrepare', 'afterParse',
+        'beforeRender', 'afterRenderResource', 'beforeWrite', 'afterBuild']);
+    });
+    it ('should keep plugin objects as-is', () => {
+      expect(drizzleData.options.plugins[0]).to.equal(plugin);
+    });
+    it ('should register plugin helpers and partials', () => {
+      const handlebars = drizzleData.options.handlebars;
+      expect(handlebars.helpers).to.contain.keys('shout');
+      expect(handlebars.partials).to.contain.keys('plugins.greeting');
+    });
+    it ('should allow hooks to change drizzleData', () => {
+      expect(drizzleData.data.fromPlugin.contents).to.equal('yes');
+    });
+    it ('should write resources changed by hooks', () => {
+      return readFile('./test/dist/plugins/index.html', 'utf-8')
+        .then(contents => {
+          expect(contents).to.contain('<!-- plugin -->');
+        });
+    });
+  });
+});
@@ -15,10 +15,35 @@ describe ('render/index (renderAll)', () => {
   });
   it ('should correctly build composite data object', () => {
     expect(drizzleData).to.be.an('object').and.to.have
-      .keys('data', 'pages', 'patterns', 'options', 'templates', 'tree');
+      .keys('data', 'pages', 'patterns', 'options', 'templates', 'tree',
+        'errors');
+    expect(drizzleData.errors).to.be.empty;
     expect(drizzleData.pages).to.contain.keys('components', 'doThis');
     expect(drizzleData.patterns).to.contain.keys('fingers', 'components');
     expect(drizzleData.data).to.contain.keys('data-as-json');
     expect(drizzleData.templates).to.contain.keys('default', 'page');
   });
+  it ('should log template cache statistics at the DEBUG level', () => {
+    const logged = [];
+    const opts = Object.assign({}, config.fixtureOpts, {
+      debug: { logFn: msg => logged.push(msg), level: 'DEBUG' }
+    });
+    return config.init(opts).then(prepare).then(parse).then(renderAll)
+      .then(() => {
+        const stats = logged.find(msg => /Template cache:/.test(msg));
+        expect(stats).to.match(
+          /^\[DEBUG\] Template cache: \d+ hit\(s\), \d+ miss\(es\)/);
+        expect(stats).to.contain('in render');
+      });
+  });
+  it ('should not log template cache statistics by default', () => {
+    const logged = [];
+    const opts = Object.assign({}, config.fixtureOpts, {
+      debug: { logFn: msg => logged.push(msg) }
+    });
+    return config.init(opts).then(prepare).then(parse).then(renderAll)
+      .then(() => {
+        expect(logged.some(msg => /Template cache:/.test(msg))).to.be.false;
+      });
+  });
 });
@@ -0,0 +1,85 @@
+var chai = require('chai');
+var config = require('../config');
+var expect = chai.expect;
+var prepare = require('../../dist/prepare/');
+var parse = require('../../dist/parse/');
+var renderPatterns = require('../../dist/render/patterns');
+var renderCollections = require('../../dist/render/collections');
+
+describe ('render/patterns', () => {
+  describe ('without a pattern layout', () => {
+    var drizzleData;
+    before (() => {
+      return config.init(config.fixtureOpts).then(prepare).then(parse)
+        .then(data => {
+          drizzleData = data;
+        });
+    });
+    it ('should not render pattern pages', () => {
+      expect(renderPatterns(drizzleData)).to.be.empty;
+      expect(drizzleData.tree.patterns[0]).not.to.contain.keys('preview');
+    });
+    it ('should not give patterns URLs', () => {
+      expect(drizzleData.patterns.fingers.collection.items.ideal)
+        .not.to.contain.keys('url');
+    });
+  });
+  describe ('with a pattern layout', () => {
+    var pattern;
+    before (() => {
+      const opts = Object.assign({}, config.fixtureOpts, {
+        layouts: { pattern: 'pattern' }
+      });
+      return config.init(opts).then(prepare).then(parse)
+        .then(drizzleData => {
+          renderPatterns(drizzleData);
+          pattern = drizzleData.patterns.fingers.collection.items.ideal;
+        });
+    });
+    it ('should give patterns a URL relative to dest.root', () => {
+      expect(pattern.url).to.equal('previews/fingers/ideal.html');
+    });
+    it ('should render a preview page for each pattern', () => {
+      expect(pattern.preview).to.contain('<h1>Idealist</h1>');
+      expect(pattern.preview).to.contain('I am ideal.');
+      expect(pattern.preview).to.contain(
+        'href="../../previews/fingers/ideal.html"');
+    });
+    it ('should leave the pattern source alone', () => {
+      expect(pattern.contents).to.equal('I am ideal.\n');
+    });
+  });
+  describe ('rendering pattern variants', () => {
+    var drizzleData;
+    before (() => {
+      const opts = Object.assign({}, config.fixtureOpts, {
+        layouts: { pattern: 'pattern' }
+      });
+      return config.init(opts).then(options => {
+        options.src.patterns = {
+          glob: config.fixturePath('variantPatterns/**/*.html'),
+          basedir: config.fixturePath('variantPatterns')
+        };
+        return prepare(options);
+      }).then(parse).then(data => {
+        drizzleData = data;
+        renderCollections(drizzleData);
+        renderPatterns(drizzleData);
+      });
+    });
+    it ('should render each variant in the collection', () => {
+      const contents = drizzleData.patterns.buttons.collection.contents;
+      expect(contents).to.contain('<button class="Button--sm">Go</button>');
+      expect(contents).to.contain('<button class="Button--lg">Go</button>');
+      expect(contents).to.contain('<span class="Badge--inactive">');
+    });
+    it ('should render a preview page for each variant', () => {
+      const variant = drizzleData.patterns.buttons.collection
+        .items['button--large'];
+      expect(variant.url).to.equal('previews/buttons/button--large.html');
+      expect(variant.preview).to.contain('<h1>Big Button</h1>');
+      expect(variant.preview).to.contain(
+        '<button class="Button--lg">Go</button>');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var testUtils = require('../test-utils');
+var drizzle = require('../../dist/');
+var placeholder = require('../../dist/render/placeholder');
+var DrizzleError = require('../../dist/utils/error');
+
+const srcRoot = './test/dist/placeholder-src';
+const destRoot = './test/dist/placeholder';
+
+describe ('render/placeholder', () => {
+  describe ('placeholderPage', () => {
+    it ('should show the message, source location and stack, escaped', () => {
+      const error = new DrizzleError('Missing <thing>',
+        DrizzleError.LEVELS.ERROR, {
+          id: 'pages.broken', path: 'src/pages/broken.hbs', line: 3,
+          column: 5, frame: '> 3 | {{#if}}'
+        });
+      const page = placeholder.placeholderPage(error);
+      expect(page).to.match(/^<!DOCTYPE html>/);
+      expect(page).to.contain('pages.broken');
+      expect(page).to.contain('Missing &lt;thing&gt;');
+      expect(page).to.contain('src/pages/broken.hbs:3:5');
+      expect(page).to.contain('&gt; 3 | {{#if}}');
+      expect(page).to.contain('class="drizzle-error-stack"');
+    });
+  });
+  describe ('renderOrPlaceholder', () => {
+    const failing = () => {
+      throw new Error('Boom');
+    };
+    function drizzleData (failureMode) {
+      return {
+        options: { failureMode, debug: { logFn: msg => msg } },
+        errors: []
+      };
+    }
+    it ('should rethrow if failureMode is not "continue"', () => {
+      const data = drizzleData('stop');
+      expect(() => placeholder.renderOrPlaceholder(failing,
+        { id: 'pages.broken' }, data)).to.throw('Boom');
+    });
+    it ('should set a placeholder and collect the error', () => {
+      const data = drizzleData('continue');
+      const resource = { id: 'pages.broken', path: 'broken.hbs' };
+      const contents = placeholder.renderOrPlaceholder(failing, resource,
+        data);
+      expect(resource.contents).to.equal(contents);
+      expect(contents).to.contain('Boom');
+      expect(data.errors).to.have.length(1);
+      expect(data.errors[0]).to.be.an.instanceof(DrizzleError);
+      expect(data.errors[0].context).to.contain.keys('stage', 'id', 'path');
+      expect(data.errors[0].context.id).to.equal('pages.broken');
+      expect(data.errors[0].context.path).to.equal('broken.hbs');
+    });
+    it ('should put pattern placeholders on `preview`', () => {
+      const data = drizzleData('continue');
+      const resource = { id: 'patterns.broken', contents: '{{oops' };
+      placeholder.renderOrPlaceholder(failing, resource, data, 'preview');
+      expect(resource.contents).to.equal('{{oops');
+      expect(resource.preview).to.contain('Boom');
+    });
+  });
+  describe ('builds with failureMode "continue"', () => {
+    const exitCode = process.exitCode;
+    var drizzleData;
+    before (() => {
+      return rimraf(srcRoot)
+        .then(() => rimraf(destRoot))
+        .then(() => testUtils.copyFixtures(srcRoot))
+        .then(() => {
+          fs.writeFileSync(path.join(srcRoot, 'pages/broken.hbs'),
+            '<p>Fine</p>\n{{#if data}}\nNever closed\n');
+          const opts = config.copiedFixtureOpts(srcRoot, destRoot);
+          opts.failureMode = 'continue';
+          return drizzle(opts);
+        }).then(result => {
+          drizzleData = result;
+        });
+    });
+    after (() => {
+      process.exitCode = exitCode;
+    });
+    it ('should resolve with the render errors', () => {
+      expect(drizzleData.errors).to.have.length(1);
+      expect(drizzleData.errors[0].context.id).to.equal('pages.broken');
+      expect(drizzleData.errors[0].context.stage).to.equal('render');
+      expect(drizzleData.errors[0].context.path).to.contain('broken.hbs');
+    });
+    it ('should write a placeholder in place of the failed page', () => {
+      const output = fs.readFileSync(
+        drizzleData.pages.broken.outputPath, 'utf-8');
+      expect(output).to.contain('Drizzle could not render pages.broken');
+      expect(output).to.contain('broken.hbs');
+    });
+    it ('should render the other resources', () => {
+      const output = fs.readFileSync(
+        drizzleData.pages.doThis.outputPath, 'utf-8');
+      expect(output).not.to.contain('drizzle-error');
+      expect(fs.existsSync(drizzleData.patterns.components.button
+        .collection.outputPath)).to.be.true;
+    });
+    it ('should leave the process\'s exit code alone', () => {
+      expect(process.exitCode).to.equal(exitCode);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('../config');
+var prepare = require('../../dist/prepare/');
+var parse = require('../../dist/parse/');
+var render = require('../../dist/render/');
+var DrizzleError = require('../../dist/utils/error');
+
+function renderFixtures (extraOptions) {
+  const opts = Object.assign({}, config.fixtureOpts, {
+    layouts: { pattern: 'pattern' }
+  }, extraOptions);
+  return config.init(opts).then(prepare).then(parse).then(render);
+}
+
+function renderedContents (drizzleData) {
+  const contents = {};
+  drizzleData.tree.pages.concat(drizzleData.tree.collections)
+    .forEach(resource => contents[resource.id] = resource.contents);
+  drizzleData.tree.patterns.forEach(pattern =>
+    contents[pattern.id] = pattern.preview);
+  return contents;
+}
+
+describe ('render/pool', () => {
+  var serial, pooled;
+  before (() => {
+    return Promise.all([
+      renderFixtures(),
+      renderFixtures({ workers: 2 })
+    ]).then(results => {
+      serial = renderedContents(results[0]);
+      pooled = renderedContents(results[1]);
+    });
+  });
+  it ('should render every resource', () => {
+    expect(Object.keys(pooled)).to.have.members(Object.keys(serial));
+  });
+  it ('should render output identical to the serial renderer', () => {
+    for (const id in serial) {
+      expect(pooled[id], id).to.equal(serial[id]);
+    }
+  });
+  it ('should fall back to serial rendering with helpers as an object', () => {
+    return renderFixtures({ workers: 2, helpers: { foo: () => 'foo' } })
+      .catch(error => {
+        // Tests throw on warnings
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.message).to.contain('Rendering without workers');
+      });
+  });
+  it ('should report render errors from workers', () => {
+    return config.init(Object.assign({}, config.fixtureOpts, {
+      workers: 1,
+      layouts: { page: 'does-not-exist' }
+    })).then(prepare).then(parse).then(render).then(() => {
+      throw new Error('Expected an error');
+    }, error => {
+      expect(error).to.be.an.instanceof(DrizzleError);
+      expect(error.message).to.contain('does-not-exist');
+    });
+  });
+  it ('should fail the render if a worker is killed', () => {
+    return config.init(Object.assign({}, config.fixtureOpts, {
+      workers: 1,
+      helpers: config.fixturePath('workerHelpers/*.js')
+    })).then(options => {
+      options.src.pages = {
+        glob: config.fixturePath('workerPages/*.html'),
+        basedir: config.fixturePath('workerPages')
+      };
+      return prepare(options);
+    }).then(parse).then(render).then(() => {
+      throw new Error('Expected an error');
+    }, error => {
+      expect(error).to.be.an.instanceof(DrizzleError);
+      expect(error.message).to.contain('signal SIGKILL');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+var chai = require('chai');
+var expect = chai.expect;
+var path = require('path');
+var fs = require('fs');
+var http = require('http');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var WebSocket = require('ws');
+var config = require('../config');
+var testUtils = require('../test-utils');
+var serve = require('../../dist/serve/');
+var livereload = require('../../dist/serve/livereload');
+
+const srcRoot = './test/dist/serve-src';
+const destRoot = './test/dist/serve';
+
+function get (url, urlPath) {
+  return new Promise((resolve, reject) => {
+    const address = require('url').parse(url);
+    http.get({
+      hostname: address.hostname,
+      port: address.port,
+      path: urlPath
+    }, response => {
+      let body = '';
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => resolve({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: body
+      }));
+    }).on('error', reject);
+  });
+}
+
+describe ('serve', () => {
+  var server, url;
+  before (() => {
+    const opts = config.copiedFixtureOpts(srcRoot, destRoot);
+    opts.serve = { port: 0 };
+    return rimraf(srcRoot)
+      .then(() => rimraf(destRoot))
+      .then(() => testUtils.copyFixtures(srcRoot))
+      .then(() => new Promise((resolve, reject) => {
+        server = serve(opts);
+        server.once('error', reject);
+        server.once('listening', serverUrl => {
+          url = serverUrl;
+          server.once('ready', resolve);
+        });
+      }));
+  });
+  after (() => server.close());
+
+  it ('should serve built pages', () => {
+    return get(url, '/04-sandbox.html').then(response => {
+      expect(response.statusCode).to.equal(200);
+      expect(response.headers['content-type']).to.contain('text/html');
+      expect(response.body).to.contain('<h1>Sandbox</h1>');
+    });
+  });
+  it ('should serve index.html for directories', () => {
+    return get(url, '/').then(response => {
+      expect(response.statusCode).to.equal(200);
+    });
+  });
+  it ('should inject the live-reload client into HTML', () => {
+    return get(url, '/patterns/components/button.html').then(response => {
+      expect(response.body).to.contain(livereload.client);
+    });
+  });
+  it ('should respond with 404 for missing files', () => {
+    return get(url, '/not-a-page.html').then(response => {
+      expect(response.statusCode).to.equal(404);
+    });
+  });
+  it ('should respond with 400 for malformed URLs', () => {
+    return get(url, '/%E0%A4%A').then(response => {
+      expect(response.statusCode).to.equal(400);
+      return get(url, '/04-sandbox.html');
+    }).then(response => {
+      expect(response.statusCode).to.equal(200);
+    });
+  });
+  it ('should not serve files outside of dest.root', () => {
+    return get(url, '/../../package.json').then(response => {
+      expect(response.statusCode).to.equal(404);
+    });
+  });
+  it ('should push reload notifications after a rebuild', () => {
+    const socket = new WebSocket(url.replace(/^http/, 'ws') +
+      livereload.socketPath.slice(1));
+    return new Promise((resolve, reject) => {
+      socket.on('open', () => {
+        fs.appendFileSync(path.resolve(srcRoot, 'pages/04-sandbox.html'),
+          '\n<p>Reload me</p>\n');
+      });
+      socket.on('message', data => resolve(JSON.parse(data)));
+      socket.on('error', reject);
+    }).then(message => {
+      socket.close();
+      expect(message.type).to.equal('reload');
+      expect(message.resources).to.contain('pages.04-sandbox');
+    });
+  });
+  ['livereload', 'no livereload'].forEach(mode => {
+    it (`should emit errors when the port is in use (${mode})`, () => {
+      const port = parseInt(require('url').parse(url).port, 10);
+      const opts = config.copiedFixtureOpts(srcRoot, `${destRoot}-busy`);
+      opts.serve = { port: port, livereload: mode === 'livereload' };
+      const busy = serve(opts);
+      return new Promise(resolve => busy.once('error', resolve))
+        .then(error => {
+          busy.close();
+          expect(error.code).to.equal('EADDRINUSE');
+        });
+    });
+  });
+});
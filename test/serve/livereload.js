@@ -0,0 +1,19 @@
+var chai = require('chai');
+var expect = chai.expect;
+var livereload = require('../../dist/serve/livereload');
+
+describe ('serve/livereload', () => {
+  describe ('injectClient', () => {
+    it ('should add the client before the closing body tag', () => {
+      var html = livereload.injectClient('<html><body><p>Hi</p></body></html>');
+      expect(html).to.contain(`<p>Hi</p>${livereload.client}</body>`);
+    });
+    it ('should append the client to documents without a body', () => {
+      var html = livereload.injectClient('<p>Just a fragment</p>');
+      expect(html).to.equal(`<p>Just a fragment</p>${livereload.client}`);
+    });
+    it ('should connect to the live-reload socket path', () => {
+      expect(livereload.client).to.contain(livereload.socketPath);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Transform = require('stream').Transform;
+var Vinyl = require('vinyl');
+var vfs = require('vinyl-fs');
+var config = require('./config');
+var drizzle = require('../dist/');
+
+const destRoot = './test/dist/stream';
+const vfsRoot = './test/dist/stream-vfs';
+
+/**
+ * Collect all objects from a stream.
+ */
+function collect (readable) {
+  return new Promise((resolve, reject) => {
+    const objects = [];
+    readable.on('data', obj => objects.push(obj));
+    readable.on('end', () => resolve(objects));
+    readable.on('error', reject);
+  });
+}
+
+describe ('stream', () => {
+  var files;
+  before (() => {
+    const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+    opts.layouts = { pattern: 'pattern' };
+    return collect(drizzle.stream(opts)).then(streamed => {
+      files = streamed;
+    });
+  });
+  it ('should stream rendered pages, collections and pattern pages', () => {
+    const types = files.map(file => file.resourceType);
+    expect(types).to.contain('page');
+    expect(types).to.contain('collection');
+    expect(types).to.contain('pattern');
+    expect(fs.existsSync(destRoot)).to.be.false;
+  });
+  it ('should stream Vinyl files', () => {
+    const page = files.find(file => file.id === 'pages.doThis');
+    expect(files.every(file => Vinyl.isVinyl(file))).to.be.true;
+    expect(page.path).to.equal(path.resolve(destRoot, 'doThis.html'));
+    expect(page.base).to.equal(path.resolve(destRoot));
+    expect(page.relative).to.equal('doThis.html');
+    expect(page.isBuffer()).to.be.true;
+    expect(page.contents).to.be.an.instanceof(Buffer);
+    expect(page.contents.toString()).to.contain('<h2>foobar</h2>');
+    expect(page.data).to.be.an('object');
+  });
+  it ('should give files the paths the writers would write them to', () => {
+    const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+    opts.layouts = { pattern: 'pattern' };
+    opts.dest.collections = `${destRoot}/unused`;
+    return collect(drizzle.stream(opts)).then(streamed => {
+      const collection = streamed.find(file =>
+        file.id === 'collections.components.button');
+      const pattern = streamed.find(file =>
+        file.id === 'patterns.components.button.base');
+      expect(collection.path).to.equal(
+        path.resolve(destRoot, 'patterns/components/button.html'));
+      expect(pattern.path).to.equal(
+        path.resolve(destRoot, 'previews/components/button/base.html'));
+    });
+  });
+  it ('should let transforms change files downstream', () => {
+    const rename = new Transform({
+      objectMode: true,
+      transform (file, encoding, callback) {
+        file.path = file.path.replace(/\.html$/, '.htm');
+        callback(null, file);
+      }
+    });
+    const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+    return collect(drizzle.stream(opts).pipe(rename)).then(renamed => {
+      expect(renamed.length).to.be.above(0);
+      expect(renamed.every(file => /\.htm$/.test(file.relative))).to.be.true;
+    });
+  });
+  it ('should be writable with vinyl-fs (gulp.dest)', () => {
+    const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+    return new Promise((resolve, reject) => {
+      drizzle.stream(opts).pipe(vfs.dest(vfsRoot))
+        .on('finish', resolve)
+        .on('error', reject);
+    }).then(() => {
+      expect(fs.readFileSync(path.join(vfsRoot, 'doThis.html'), 'utf-8'))
+        .to.contain('<h2>foobar</h2>');
+    });
+  });
+  it ('should emit build errors', () => {
+    const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+    opts.layouts = { page: 'nope' };
+    return collect(drizzle.stream(opts)).then(() => {
+      throw new Error('Expected an error');
+    }, error => {
+      expect(error).to.be.an.instanceof(Error);
+    });
+  });
+});
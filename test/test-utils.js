@@ -1,6 +1,10 @@
 const fs = require('fs');
+const path = require('path');
 const Promise = require('bluebird');
+const globby = require('globby');
+const mkdirp = Promise.promisify(require('mkdirp'));
 const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
 const stat     = Promise.promisify(fs.stat);
 const prettyjson = require('prettyjson');
 
@@ -24,6 +28,29 @@ function fileContents (path) {
   return readFile(path, 'utf-8');
 }
 
+/**
+ * Copy all files in directory `from` into directory `to`, so that tests
+ * can change them without touching fixtures.
+ */
+function copyDir (from, to) {
+  return globby('**/*', { cwd: from, nodir: true, dot: true }).then(files => {
+    return Promise.all(files.map(file => {
+      return mkdirp(path.dirname(path.join(to, file)))
+        .then(() => readFile(path.join(from, file)))
+        .then(contents => writeFile(path.join(to, file), contents));
+    }));
+  });
+}
+
+/**
+ * Copy the source fixtures (data, pages, patterns, templates) to `to`.
+ */
+function copyFixtures (to) {
+  const fixtures = path.join(__dirname, 'fixtures');
+  return Promise.all(['data', 'pages', 'patterns', 'templates'].map(dir =>
+    copyDir(path.join(fixtures, dir), path.join(to, dir))));
+}
+
 /**
  * Console log as nicely formatted YAML.
  */
@@ -33,6 +60,8 @@ function log (data) {
 
 module.exports = {
   areFiles: areFiles,
+  copyDir: copyDir,
+  copyFixtures: copyFixtures,
   fileContents: fileContents,
   isFile: isFile,
   log: log
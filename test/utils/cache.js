@@ -0,0 +1,99 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var mkdirp = Promise.promisify(require('mkdirp'));
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var cache = require('../../dist/utils/cache');
+var parseUtils = require('../../dist/utils/parse');
+
+const srcDir = './test/dist/parse-cache-src';
+const cacheDir = './test/dist/parse-cache';
+
+describe ('utils/cache', () => {
+  var parsed, options;
+  const yamlFile = path.resolve(srcDir, 'thing.yml');
+  const countingParsers = () => ({
+    yaml: {
+      pattern: '\\.(yaml|yml)$',
+      parseFn: (contents, filepath) => {
+        parsed.push(filepath);
+        return config.parsers.yaml.parseFn(contents, filepath);
+      }
+    }
+  });
+  beforeEach (() => {
+    parsed = [];
+    options = { parsers: countingParsers(), cache: cacheDir };
+    return rimraf(srcDir).then(() => rimraf(cacheDir))
+      .then(() => mkdirp(srcDir))
+      .then(() => fs.writeFileSync(yamlFile,
+        'title: Thing\nwhen: 2016-04-01\n'));
+  });
+  after (() => rimraf(cacheDir));
+
+  describe ('readFiles with a cache', () => {
+    it ('should hydrate unchanged files from the cache', () => {
+      return parseUtils.readFiles(yamlFile, options).then(first => {
+        return parseUtils.readFiles(yamlFile, options).then(second => {
+          expect(parsed).to.have.length(1);
+          expect(second).to.deep.equal(first);
+          expect(second[0].path).to.equal(yamlFile);
+        });
+      });
+    });
+    it ('should keep Dates', () => {
+      return parseUtils.readFiles(yamlFile, options)
+        .then(() => parseUtils.readFiles(yamlFile, options))
+        .then(files => {
+          expect(files[0].contents.when).to.be.an.instanceof(Date);
+        });
+    });
+    it ('should re-parse changed files', () => {
+      return parseUtils.readFiles(yamlFile, options).then(() => {
+        fs.writeFileSync(yamlFile, 'title: Changed thing\n');
+        return parseUtils.readFiles(yamlFile, options);
+      }).then(files => {
+        expect(parsed).to.have.length(2);
+        expect(files[0].contents.title).to.equal('Changed thing');
+      });
+    });
+    it ('should re-parse files if their parser changes', () => {
+      return parseUtils.readFiles(yamlFile, options).then(() => {
+        options.parsers.yaml.parseFn = (contents, filepath) => {
+          parsed.push(filepath);
+          return { contents: 'different' };
+        };
+        return parseUtils.readFiles(yamlFile, options);
+      }).then(files => {
+        expect(parsed).to.have.length(2);
+        expect(files[0].contents).to.equal('different');
+      });
+    });
+    it ('should not cache without the `cache` option', () => {
+      options.cache = false;
+      return parseUtils.readFiles(yamlFile, options)
+        .then(() => parseUtils.readFiles(yamlFile, options))
+        .then(() => {
+          expect(parsed).to.have.length(2);
+        });
+    });
+  });
+  describe ('clearCache', () => {
+    it ('should remove the cache directory', () => {
+      return parseUtils.readFiles(yamlFile, options)
+        .then(() => cache.clearCache(options))
+        .then(() => {
+          expect(fs.existsSync(cacheDir)).to.be.false;
+          return parseUtils.readFiles(yamlFile, options);
+        }).then(() => {
+          expect(parsed).to.have.length(2);
+        });
+    });
+    it ('should not fail if there is no cache', () => {
+      return cache.clearCache({ cache: './test/dist/no-such-cache' });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+var chai = require('chai');
+var expect = chai.expect;
+var path = require('path');
+var config = require('../config');
+var utils = require('../../dist/utils/config');
+var init = require('../../dist/init');
+
+describe ('utils/config', () => {
+  describe ('findConfig', () => {
+    it ('should find a YAML rc file', () => {
+      return utils.findConfig(config.fixturePath('config/yml'))
+      .then(filepath => {
+        expect(filepath).to.equal(
+          config.fixturePath('config/yml/.drizzlerc.yml'));
+      });
+    });
+    it ('should search upward from the starting directory', () => {
+      return utils.findConfig(config.fixturePath('config/yml/nested'))
+      .then(filepath => {
+        expect(filepath).to.equal(
+          config.fixturePath('config/yml/.drizzlerc.yml'));
+      });
+    });
+    it ('should prefer drizzle.config.js to other config files', () => {
+      return utils.findConfig(config.fixturePath('config/js'))
+      .then(filepath => {
+        expect(path.basename(filepath)).to.equal('drizzle.config.js');
+      });
+    });
+    it ('should find a `drizzle` property in package.json', () => {
+      return utils.findConfig(config.fixturePath('config/pkg'))
+      .then(filepath => {
+        expect(filepath).to.equal(
+          config.fixturePath('config/pkg/package.json'));
+      });
+    });
+    it ('should find config files without loading them', () => {
+      return utils.findConfig(config.fixturePath('config/broken'))
+      .then(filepath => {
+        expect(filepath).to.equal(
+          config.fixturePath('config/broken/.drizzlerc.json'));
+      });
+    });
+    it ('should skip package.json files without a `drizzle` property', () => {
+      return utils.findConfig(config.fixturePath('config/nopkg'))
+      .then(filepath => {
+        expect(filepath).to.be.undefined;
+      });
+    });
+  });
+  describe ('loadConfig', () => {
+    it ('should resolve paths relative to the config file', () => {
+      return utils.loadConfig(config.fixturePath('config/yml/.drizzlerc.yml'))
+      .then(options => {
+        expect(options.dest.root).to.equal(
+          config.fixturePath('config/yml/out'));
+        expect(options.src.pages.glob).to.equal(
+          config.fixturePath('config/yml/pages/**/*'));
+        expect(options.src.pages.basedir).to.equal(
+          config.fixturePath('config/yml/pages'));
+      });
+    });
+    it ('should resolve helper globs relative to the config file', () => {
+      return utils.loadConfig(config.fixturePath('config/js/drizzle.config.js'))
+      .then(options => {
+        expect(options.helpers).to.equal(
+          config.fixturePath('config/js/helpers/*.js'));
+      });
+    });
+    it ('should load options from package.json', () => {
+      return utils.loadConfig(config.fixturePath('config/pkg/package.json'))
+      .then(options => {
+        expect(options.dest.root).to.equal(
+          config.fixturePath('config/pkg/pkg-out'));
+      });
+    });
+    it ('should keep plugins and the reporter by reference', () => {
+      const configPath = config.fixturePath(
+        'config/instances/drizzle.config.js');
+      const fileOptions = require(configPath);
+      return utils.loadConfig(configPath).then(options => {
+        expect(options.plugins[0]).to.equal(fileOptions.plugins[0]);
+        expect(options.reporter).to.equal(fileOptions.reporter);
+        expect(options.dest.root).to.equal(
+          config.fixturePath('config/instances/out'));
+        expect(fileOptions.dest.root).to.equal('./out');
+      });
+    });
+    it ('should resolve to empty options if a load error is logged', () => {
+      const logged = [];
+      return utils.loadConfig(
+        config.fixturePath('config/broken/.drizzlerc.json'),
+        { logFn: msg => logged.push(msg), throwThreshold: 'FATAL' }
+      ).then(options => {
+        expect(options).to.deep.equal({});
+        expect(logged[0]).to.contain('Could not load config file');
+      });
+    });
+    it ('should not load anything if config is `false`', () => {
+      return utils.loadConfig(false).then(options => {
+        expect(options).to.be.empty;
+      });
+    });
+  });
+  describe ('merging with init', () => {
+    const configPath = config.fixturePath('config/yml/.drizzlerc.yml');
+    it ('should prefer config file values to defaults', () => {
+      return init({ config: configPath }).then(options => {
+        expect(options.layouts.page).to.equal('fromyml');
+        expect(options.layouts.collection).to.equal('collection');
+      });
+    });
+    it ('should keep class-instance plugins and reporters intact', () => {
+      return init({
+        config: config.fixturePath('config/instances/drizzle.config.js')
+      }).then(options => {
+        expect(options.plugins[0].afterInit).to.be.a('function');
+        expect(options.reporter.emit).to.be.a('function');
+      });
+    });
+    it ('should name a broken config file found by searching', () => {
+      const cwd = process.cwd();
+      process.chdir(config.fixturePath('config/broken'));
+      const initialized = init({});
+      process.chdir(cwd);
+      return initialized.then(() => {
+        throw new Error('Expected an error');
+      }, error => {
+        expect(error.message).to.contain('Could not load config file');
+        expect(error.message).to.contain('.drizzlerc.json');
+        expect(error.context.path).to.equal(
+          config.fixturePath('config/broken/.drizzlerc.json'));
+      });
+    });
+    it ('should prefer passed options to config file values', () => {
+      return init({ config: configPath, layouts: { page: 'passed' } })
+      .then(options => {
+        expect(options.layouts.page).to.equal('passed');
+        expect(options.dest.root).to.equal(
+          config.fixturePath('config/yml/out'));
+      });
+    });
+  });
+});
@@ -46,7 +46,24 @@ describe ('utils/error', () => {
       });
     });
     describe ('logging', () => {
-      it ('should properly format error messages');
+      it ('should properly format error messages', () => {
+        const logFn = sinon.stub();
+        DrizzleError.error(new DrizzleError('random error',
+          DrizzleError.LEVELS.WARN, { path: 'foo.html', line: 2 }), {
+            throwThreshold: 5,
+            logFn: logFn
+          }, { stage: 'parse' });
+        expect(logFn).to.have.been.calledWith(
+          '[WARN] random error\n    at foo.html:2 (parse)');
+      });
+      it ('should wrap Errors, keeping their message', () => {
+        const logFn = sinon.stub();
+        DrizzleError.error(new Error('plain'), {
+          throwThreshold: 'FATAL',
+          logFn: logFn
+        });
+        expect(logFn).to.have.been.calledWith('[ERROR] plain');
+      });
     });
   });
   describe('debugging', () => {
@@ -0,0 +1,115 @@
+var chai = require('chai');
+var expect = chai.expect;
+var Promise = require('bluebird');
+var io = require('../../dist/utils/io');
+var utils = require('../../dist/utils/write');
+
+function ioError (code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe ('utils/io', () => {
+  describe ('limited', () => {
+    it ('should run at most `concurrency` tasks at once', () => {
+      let running = 0;
+      let most = 0;
+      const task = () => {
+        running++;
+        most = Math.max(most, running);
+        return Promise.delay(5).then(() => running--);
+      };
+      const tasks = [];
+      for (var i = 0; i < 10; i++) {
+        tasks.push(io.limited(3, task));
+      }
+      return Promise.all(tasks).then(() => {
+        expect(most).to.equal(3);
+      });
+    });
+    it ('should pass on results and errors', () => {
+      return Promise.all([
+        io.limited(2, () => Promise.resolve('done')),
+        io.limited(2, () => {
+          throw new Error('Boom');
+        }).catch(error => error.message)
+      ]).then(results => {
+        expect(results).to.deep.equal(['done', 'Boom']);
+      });
+    });
+    it ('should not limit without a positive concurrency', () => {
+      let running = 0;
+      let most = 0;
+      const task = () => {
+        running++;
+        most = Math.max(most, running);
+        return Promise.delay(5).then(() => running--);
+      };
+      return Promise.all([1, 2, 3].map(() => io.limited(0, task)))
+        .then(() => {
+          expect(most).to.equal(3);
+        });
+    });
+  });
+  describe ('retrying', () => {
+    it ('should retry on EMFILE and EAGAIN', () => {
+      const failures = [ioError('EMFILE'), ioError('EAGAIN')];
+      let attempts = 0;
+      return io.retrying(() => {
+        attempts++;
+        return failures.length ? Promise.reject(failures.shift()) : 'done';
+      }).then(result => {
+        expect(result).to.equal('done');
+        expect(attempts).to.equal(3);
+      });
+    });
+    it ('should not retry other errors', () => {
+      let attempts = 0;
+      return io.retrying(() => {
+        attempts++;
+        return Promise.reject(ioError('ENOENT'));
+      }).catch(error => {
+        expect(error.code).to.equal('ENOENT');
+        expect(attempts).to.equal(1);
+      });
+    });
+    it ('should give up eventually', function () {
+      this.timeout(2000);
+      let attempts = 0;
+      return io.retrying(() => {
+        attempts++;
+        return Promise.reject(ioError('EMFILE'));
+      }).then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error.code).to.equal('EMFILE');
+        expect(attempts).to.equal(6);
+      });
+    });
+  });
+  describe ('writes', () => {
+    it ('should retry writes that fail with EMFILE', () => {
+      const files = {};
+      let failed = false;
+      const writer = {
+        name: 'flaky',
+        read: filepath => (filepath in files) ?
+          Promise.resolve(files[filepath]) : Promise.reject(new Error()),
+        write: (filepath, contents) => {
+          if (!failed) {
+            failed = true;
+            return Promise.reject(ioError('EMFILE'));
+          }
+          files[filepath] = contents;
+          return Promise.resolve();
+        }
+      };
+      return utils.write('out/foo.html', 'Foo', { writer, concurrency: 2 })
+        .then(action => {
+          expect(action).to.equal('create');
+          expect(files['out/foo.html']).to.equal('Foo');
+        });
+    });
+  });
+});
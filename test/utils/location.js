@@ -0,0 +1,124 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var mkdirp = Promise.promisify(require('mkdirp'));
+var Handlebars = require('handlebars');
+var frontMatter = require('front-matter');
+var location = require('../../dist/utils/location');
+var parseUtils = require('../../dist/utils/parse');
+var renderUtils = require('../../dist/utils/render');
+var config = require('../config');
+var DrizzleError = require('../../dist/utils/error');
+
+const srcRoot = './test/dist/location';
+
+/**
+ * The error thrown by `fn`.
+ */
+function thrown (fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+}
+
+describe ('utils/location', () => {
+  describe ('codeFrame', () => {
+    it ('should mark the line and column', () => {
+      const frame = location.codeFrame('one\ntwo\nthree\nfour', 2, 2);
+      expect(frame).to.equal([
+        '  1 | one',
+        '> 2 | two',
+        '    |  ^',
+        '  3 | three',
+        '  4 | four'
+      ].join('\n'));
+    });
+  });
+  describe ('parseErrorLocation', () => {
+    it ('should locate YAML errors in front matter', () => {
+      const text = '---\ntitle: ok\nbad: [1, 2\nx: y\n---\nBody';
+      const error = thrown(() => frontMatter(text));
+      expect(location.parseErrorLocation(error, text)).to.deep.equal({
+        line: 4,
+        column: 1
+      });
+    });
+    it ('should locate JSON errors', () => {
+      const text = '{\n  "a": 1,\n  "b" 2\n}';
+      const error = thrown(() => JSON.parse(text));
+      expect(location.parseErrorLocation(error, text).line).to.equal(3);
+    });
+  });
+  describe ('templateErrorLocation', () => {
+    it ('should locate Handlebars parse errors', () => {
+      const template = 'a\n  {{foo bar=}}\n';
+      const error = thrown(() => Handlebars.compile(template)({}));
+      expect(location.templateErrorLocation(error, template)).to.deep.equal({
+        line: 2,
+        column: 13
+      });
+    });
+    it ('should locate Handlebars exceptions', () => {
+      const template = 'a\n{{#if x}}\n{{/each}}';
+      const error = thrown(() => Handlebars.compile(template)({}));
+      expect(location.templateErrorLocation(error, template).line)
+        .to.equal(2);
+    });
+  });
+  describe ('source errors', () => {
+    const badPattern = path.resolve(srcRoot, 'bad-yaml.html');
+    const badTemplate = path.resolve(srcRoot, 'bad-template.html');
+    before (() => {
+      return mkdirp(srcRoot).then(() => {
+        fs.writeFileSync(badPattern,
+          '---\ntitle: ok\nbad: [1, 2\nx: y\n---\n<p>Hi</p>\n');
+        fs.writeFileSync(badTemplate,
+          '---\ntitle: ok\n---\n<p>Hi</p>\n<p>{{foo bar=}}</p>\n');
+      });
+    });
+    it ('should locate parse errors in readFiles', () => {
+      return parseUtils.readFiles(badPattern, config.fixtureOpts).then(() => {
+        throw new Error('Expected an error');
+      }, error => {
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.message).to.contain(badPattern);
+        expect(error.context).to.contain.keys('path', 'line', 'column',
+          'frame');
+        expect(error.context.line).to.equal(4);
+        expect(error.context.frame).to.contain('> 4 | x: y');
+      });
+    });
+    it ('should add resource IDs in readFileTree', () => {
+      return parseUtils.readFileTree({
+        glob: badPattern,
+        basedir: path.resolve(srcRoot)
+      }, { plural: 'patterns', singular: 'pattern' }, config.fixtureOpts)
+      .then(() => {
+        throw new Error('Expected an error');
+      }, error => {
+        expect(error.context.id).to.equal('patterns.bad-yaml');
+      });
+    });
+    it ('should locate template errors in their source files', () => {
+      return config.init(config.fixtureOpts).then(options => {
+        const template = frontMatter(fs.readFileSync(badTemplate, 'utf-8'))
+          .body;
+        const error = thrown(() => renderUtils.applyTemplate(template,
+          { id: 'pages.bad-template' }, options, badTemplate));
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.context).to.contain({
+          path: badTemplate,
+          id: 'pages.bad-template',
+          line: 5,
+          stage: 'render'
+        });
+        expect(error.context.frame).to.contain('> 5 | <p>{{foo bar=}}</p>');
+      });
+    });
+  });
+});
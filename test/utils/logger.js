@@ -0,0 +1,102 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+var sinonChai = require('sinon-chai');
+chai.use(sinonChai);
+var logger = require('../../dist/utils/logger');
+var DrizzleError = require('../../dist/utils/error');
+
+describe ('utils/logger', () => {
+  describe ('levelValue', () => {
+    it ('should accept level names and numbers', () => {
+      expect(logger.levelValue('warn')).to.equal(logger.LEVELS.WARN);
+      expect(logger.levelValue(4)).to.equal(logger.LEVELS.FATAL);
+      expect(logger.levelValue('nope', 1)).to.equal(1);
+    });
+  });
+  describe ('createLogger', () => {
+    it ('should only log entries at or above `level`', () => {
+      const logFn = sinon.stub();
+      const log = logger.createLogger({ logFn: logFn, level: 'WARN' });
+      log.notice('quiet');
+      log.warn('loud');
+      expect(logFn).to.have.been.calledOnce;
+      expect(logFn).to.have.been.calledWith('[WARN] loud');
+    });
+    it ('should only log DEBUG entries if `level` is DEBUG', () => {
+      const logFn = sinon.stub();
+      logger.createLogger({ logFn: logFn }).debug('Quiet');
+      logger.createLogger({ logFn: logFn, level: 'DEBUG' }).debug('Loud');
+      expect(logFn).to.have.been.calledOnce;
+      expect(logFn.firstCall.args[0]).to.equal('[DEBUG] Loud');
+    });
+    it ('should throw reported errors at or above `throwThreshold`', () => {
+      const logFn = sinon.stub();
+      const log = logger.createLogger({
+        logFn: logFn,
+        throwThreshold: 'ERROR'
+      });
+      const warning = new DrizzleError('warning', DrizzleError.LEVELS.WARN);
+      const error = new DrizzleError('error', DrizzleError.LEVELS.ERROR);
+      expect(() => log.report(warning)).not.to.throw();
+      expect(() => log.report(error)).to.throw(DrizzleError);
+      expect(logFn).to.have.been.calledOnce;
+    });
+    it ('should log errors without throwing with `log`', () => {
+      const logFn = sinon.stub();
+      const log = logger.createLogger({ logFn: logFn, throwThreshold: 0 });
+      const error = new DrizzleError('error', DrizzleError.LEVELS.ERROR);
+      expect(() => log.log(error)).not.to.throw();
+      expect(logFn).to.have.been.calledWith('[ERROR] error');
+    });
+    it ('should format entries with context as pretty text', () => {
+      const logFn = sinon.stub();
+      logger.createLogger({ logFn: logFn }).error('Broken', {
+        stage: 'render',
+        id: 'pages.index',
+        path: 'src/pages/index.html',
+        line: 3,
+        column: 5,
+        frame: '> 3 | {{oops'
+      });
+      expect(logFn).to.have.been.calledWith([
+        '[ERROR] Broken',
+        '    at src/pages/index.html:3:5 (pages.index, render)',
+        '> 3 | {{oops'
+      ].join('\n'));
+    });
+    it ('should format entries as JSON', () => {
+      const logFn = sinon.stub();
+      logger.createLogger({ logFn: logFn, format: 'json' }).warn('Hm', {
+        id: 'patterns.foo.bar',
+        path: 'src/patterns/foo/bar.html'
+      });
+      expect(JSON.parse(logFn.firstCall.args[0])).to.deep.equal({
+        level: 'WARN',
+        message: 'Hm',
+        id: 'patterns.foo.bar',
+        path: 'src/patterns/foo/bar.html'
+      });
+    });
+  });
+  describe ('logCounts', () => {
+    it ('should count warnings and errors logged, even below `level`', () => {
+      const debugOpts = { logFn: msg => msg, level: 'FATAL' };
+      const log = logger.createLogger(debugOpts);
+      log.notice('note');
+      log.warn('warning');
+      log.error('error');
+      log.fatal('fatal');
+      expect(logger.logCounts(debugOpts)).to.deep.equal({
+        warnings: 1,
+        errors: 2
+      });
+    });
+    it ('should reset counts if asked', () => {
+      const debugOpts = { logFn: msg => msg };
+      logger.createLogger(debugOpts).warn('warning');
+      expect(logger.logCounts(debugOpts, true).warnings).to.equal(1);
+      expect(logger.logCounts(debugOpts).warnings).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+var chai = require('chai');
+var expect = chai.expect;
+var utils = require('../../dist/utils/plugins');
+var DrizzleError = require('../../dist/utils/error');
+
+describe ('utils/plugins', () => {
+  describe ('runHook', () => {
+    it ('should resolve to the value if there are no plugins', () => {
+      return utils.runHook('afterParse', { foo: 1 }, {}).then(value => {
+        expect(value).to.deep.equal({ foo: 1 });
+      });
+    });
+    it ('should run hooks in plugin order', () => {
+      const options = { plugins: [
+        { afterInit: value => value.concat('a') },
+        { name: 'no hook' },
+        { afterInit: value => Promise.resolve(value.concat('b')) }
+      ]};
+      return utils.runHook('afterInit', [], options).then(value => {
+        expect(value).to.deep.equal(['a', 'b']);
+      });
+    });
+    it ('should keep the value if a hook returns nothing', () => {
+      const value = { foo: 1 };
+      const options = { plugins: [{ afterParse: data => { data.bar = 2; } }]};
+      return utils.runHook('afterParse', value, options).then(result => {
+        expect(result).to.equal(value);
+        expect(result.bar).to.equal(2);
+      });
+    });
+    it ('should pass additional arguments to hooks', () => {
+      const options = { plugins: [{
+        beforeWrite: (resource, drizzleData) => {
+          resource.seen = drizzleData.name;
+        }
+      }]};
+      return utils.runHook('beforeWrite', {}, options, { name: 'data' })
+        .then(resource => {
+          expect(resource.seen).to.equal('data');
+        });
+    });
+    it ('should name the plugin and hook when a hook fails', () => {
+      const options = {
+        plugins: [{
+          name: 'broken',
+          afterBuild: () => Promise.reject(new Error('Oh no'))
+        }],
+        debug: { logFn: msg => msg }
+      };
+      return utils.runHook('afterBuild', {}, options).catch(error => {
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.message).to.contain('broken');
+        expect(error.message).to.contain('afterBuild');
+        expect(error.message).to.contain('Oh no');
+      });
+    });
+    it ('should report hooks that throw synchronously', () => {
+      const options = {
+        plugins: [{
+          name: 'throwing',
+          afterInit: () => {
+            throw new Error('Sync');
+          }
+        }],
+        debug: { logFn: msg => msg }
+      };
+      return utils.runHook('afterInit', {}, options).then(() => {
+        throw new Error('Hook should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(DrizzleError);
+        expect(error.message).to.contain('throwing');
+        expect(error.message).to.contain('Sync');
+      });
+    });
+    it ('should keep the value if a failed hook is only logged', () => {
+      const value = { foo: 1 };
+      const logged = [];
+      const options = {
+        plugins: [{
+          name: 'broken',
+          afterParse: () => Promise.reject(new Error('Oh no'))
+        }],
+        debug: { logFn: msg => logged.push(msg), throwThreshold: 'FATAL' }
+      };
+      return utils.runHook('afterParse', value, options).then(result => {
+        expect(result).to.equal(value);
+        expect(logged[0]).to.contain('broken');
+      });
+    });
+  });
+  describe ('runResourceHook', () => {
+    it ('should assign returned properties to the resource', () => {
+      const resource = { id: 'pages.foo', contents: 'foo' };
+      const drizzleData = { options: { plugins: [{
+        afterRenderResource: page => ({ contents: page.contents + '!' })
+      }]}};
+      return utils.runResourceHook('afterRenderResource', resource,
+        drizzleData).then(result => {
+          expect(result).to.equal(resource);
+          expect(result.contents).to.equal('foo!');
+        });
+    });
+  });
+  describe ('pluginProvided', () => {
+    it ('should merge properties from all plugins, later winning', () => {
+      const one = () => 1;
+      const two = () => 2;
+      const options = { plugins: [
+        { helpers: { one: one, num: one } },
+        { helpers: { num: two } }
+      ]};
+      expect(utils.pluginProvided('helpers', options)).to.deep.equal({
+        one: one, num: two
+      });
+    });
+  });
+});
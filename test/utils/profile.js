@@ -0,0 +1,64 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('../config');
+var drizzle = require('../../dist/');
+var profile = require('../../dist/utils/profile');
+
+const destRoot = './test/dist/profile';
+
+describe ('utils/profile', () => {
+  describe ('profiling', () => {
+    it ('should be off unless `debug.profile` is set', () => {
+      expect(profile.profiling({ debug: {} })).to.be.false;
+      expect(profile.profiling({ debug: { profile: 5 } })).to.be.true;
+    });
+  });
+  describe ('timeResource', () => {
+    it ('should time rendering when profiling', () => {
+      const options = { debug: { profile: true } };
+      expect(profile.timeResource(options, 'pages.foo', () => 'Foo'))
+        .to.equal('Foo');
+      expect(profile.profileReport(options)).to.match(/ms {2}pages\.foo/);
+    });
+    it ('should record the time even if rendering throws', () => {
+      const options = { debug: { profile: true } };
+      expect(() => profile.timeResource(options, 'pages.bar', () => {
+        throw new Error('Boom');
+      })).to.throw('Boom');
+      expect(profile.profileReport(options)).to.contain('pages.bar');
+    });
+  });
+  describe ('profiled builds', () => {
+    var logged;
+    before (() => {
+      logged = [];
+      const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+      opts.debug = { logFn: msg => logged.push(msg), profile: 2 };
+      return drizzle(opts);
+    });
+    it ('should log a report at the end of the build', () => {
+      const report = logged[logged.length - 1];
+      expect(report).to.match(/^Profile:/);
+      ['init', 'prepare', 'parse', 'render', 'write'].forEach(stage =>
+        expect(report).to.match(new RegExp(`Stages:.*${stage} [\\d.]+ms`)));
+      ['data', 'pages', 'patterns', 'templates'].forEach(type =>
+        expect(report).to.match(new RegExp(
+          `Parse by source type.*${type} [\\d.]+ms`)));
+    });
+    it ('should report the N slowest resources and helpers', () => {
+      const report = logged[logged.length - 1];
+      const sections = report.split('  Most expensive helpers:\n');
+      const resources = sections[0].split('  Slowest resources:\n')[1]
+        .trim().split('\n');
+      const helpers = sections[1].split('\n');
+      expect(resources).to.have.length(2);
+      expect(helpers).to.have.length(2);
+      helpers.forEach(line =>
+        expect(line).to.match(/^ {4}[\d.]+ms {2}\S+ \(\d+ call\(s\)\)$/));
+    });
+    it ('should not profile Handlebars\' built-in helpers', () => {
+      const report = logged[logged.length - 1];
+      expect(report).not.to.match(/ms {2}(each|if) \(/);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('../config');
+var utils = require('../../dist/utils/render');
+var prepare = require('../../dist/prepare/');
+var parse = require('../../dist/parse/');
+var renderPages = require('../../dist/render/pages');
+
+/**
+ * A minimal engine adapter for testing: `${key}` interpolates context
+ * values and `${helper:name}` calls helpers.
+ */
+function toyEngine () {
+  const partials = {};
+  const helpers = {};
+  return {
+    name: 'toy',
+    pattern: '\\.tpl$',
+    compile: template => context => template
+      .replace(/\$\{helper:(\w+)\}/g, (match, name) => helpers[name](context))
+      .replace(/\$\{(\w+)\}/g, (match, key) => context[key]),
+    hasPartial: key => partials.hasOwnProperty(key),
+    partial: key => partials[key],
+    registerPartial: (key, template) => { partials[key] = template; },
+    unregisterPartial: key => { delete partials[key]; },
+    registerHelper: (name, fn) => { helpers[name] = fn; },
+    unregisterHelper: name => { delete helpers[name]; },
+    wrapWithLayout: (contents, layout) =>
+      `<main data-layout="${layout}">${contents}</main>`
+  };
+}
+
+describe ('utils/render', () => {
+  describe ('matchEngine', () => {
+    const engines = { toy: toyEngine(), handlebars: { name: 'handlebars' } };
+    it ('should match engines by file path pattern', () => {
+      expect(utils.matchEngine('foo/bar.tpl', { engines }).name)
+        .to.equal('toy');
+    });
+    it ('should fall back to the handlebars engine', () => {
+      expect(utils.matchEngine('foo/bar.html', { engines }).name)
+        .to.equal('handlebars');
+      expect(utils.matchEngine(undefined, { engines }).name)
+        .to.equal('handlebars');
+    });
+  });
+  describe ('compileTemplate', () => {
+    var options, compiled;
+    beforeEach (() => {
+      compiled = 0;
+      const engine = toyEngine();
+      const compile = engine.compile;
+      engine.compile = template => {
+        compiled++;
+        return compile(template);
+      };
+      options = { engines: { handlebars: engine } };
+    });
+    it ('should only compile identical templates once', () => {
+      const first = utils.compileTemplate('Hi ${name}', options);
+      const second = utils.compileTemplate('Hi ${name}', options);
+      expect(second).to.equal(first);
+      expect(compiled).to.equal(1);
+      expect(second({ name: 'you' })).to.equal('Hi you');
+    });
+    it ('should count cache hits and misses', () => {
+      utils.compileTemplate('One', options);
+      utils.compileTemplate('Two', options);
+      utils.compileTemplate('One', options);
+      expect(utils.templateCacheStats(options)).to.deep.equal({
+        hits: 1, misses: 2, size: 2
+      });
+    });
+    it ('should share identical templates from different files', () => {
+      const first = utils.compileTemplate('One', options, 'one.html');
+      const second = utils.compileTemplate('One', options, 'other.html');
+      expect(second).to.equal(first);
+      expect(compiled).to.equal(1);
+    });
+    it ('should drop the compiled template of an edited file', () => {
+      utils.compileTemplate('One', options, 'one.html');
+      const second = utils.compileTemplate('Two', options, 'one.html');
+      expect(second({})).to.equal('Two');
+      expect(utils.compileTemplate('Two', options, 'one.html'))
+        .to.equal(second);
+      expect(utils.templateCacheStats(options)).to.deep.equal({
+        hits: 1, misses: 2, size: 1
+      });
+    });
+    it ('should keep a template still used by another file', () => {
+      const first = utils.compileTemplate('One', options, 'one.html');
+      utils.compileTemplate('One', options, 'other.html');
+      utils.compileTemplate('Two', options, 'one.html');
+      expect(utils.compileTemplate('One', options, 'other.html'))
+        .to.equal(first);
+      expect(utils.templateCacheStats(options).size).to.equal(2);
+    });
+    it ('should key cached templates by compile options', () => {
+      utils.compileTemplate('One', options);
+      options.engines.handlebars.compileOptions = { strict: true };
+      utils.compileTemplate('One', options);
+      expect(compiled).to.equal(2);
+    });
+    it ('should keep separate caches per engine', () => {
+      const other = { engines: { handlebars: toyEngine() } };
+      utils.compileTemplate('One', options);
+      utils.compileTemplate('One', other);
+      expect(utils.templateCacheStats(other).misses).to.equal(1);
+    });
+  });
+  describe ('rendering with more than one engine', () => {
+    var drizzleData;
+    before (() => {
+      const opts = Object.assign({}, config.fixtureOpts, {
+        engines: { toy: toyEngine() },
+        parsers: Object.assign({}, config.parsers, {
+          toy: { pattern: '\\.tpl$', parseFn: config.parsers.content.parseFn }
+        }),
+        helpers: { greet: () => 'hello' },
+        src: Object.assign({}, config.fixtureOpts.src, {
+          pages: {
+            glob: config.fixturePath('enginePages/*'),
+            basedir: config.fixturePath('enginePages')
+          }
+        })
+      });
+      return config.init(opts).then(prepare).then(parse).then(data => {
+        drizzleData = data;
+        renderPages(drizzleData);
+      });
+    });
+    it ('should render pages with the engine matching their path', () => {
+      expect(drizzleData.pages.toy.contents).to.equal(
+        '<main data-layout="default">Hello from Toy page\n</main>');
+      expect(drizzleData.pages.plain.contents)
+        .to.contain('<p>Handlebars page</p>');
+    });
+    it ('should register helpers on every engine', () => {
+      const engine = drizzleData.options.engines.toy;
+      expect(engine.compile('${helper:greet}')({})).to.equal('hello');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+var chai = require('chai');
+var expect = chai.expect;
+var EventEmitter = require('events').EventEmitter;
+var config = require('../config');
+var drizzle = require('../../dist/');
+var reporter = require('../../dist/utils/reporter');
+var DrizzleError = require('../../dist/utils/error');
+var logger = require('../../dist/utils/logger');
+
+const destRoot = './test/dist/reporter';
+
+describe ('utils/reporter', () => {
+  describe ('emit', () => {
+    it ('should emit on `options.reporter`', () => {
+      const emitter = new EventEmitter();
+      const events = [];
+      emitter.on('stage:start', payload => events.push(payload));
+      reporter.emit({ reporter: emitter }, 'stage:start', { stage: 'parse' });
+      expect(events).to.deep.equal([{ stage: 'parse' }]);
+    });
+    it ('should do nothing without a reporter', () => {
+      expect(() => reporter.emit({}, 'stage:start', {})).not.to.throw();
+    });
+    it ('should not emit unhandled `error` events', () => {
+      const emitter = new EventEmitter();
+      expect(() => reporter.emit({ reporter: emitter }, 'error',
+        new Error('Boom'))).not.to.throw();
+    });
+  });
+  describe ('registerReporter', () => {
+    it ('should emit entries logged with `options.debug`', () => {
+      const options = {
+        debug: { logFn: msg => msg, throwThreshold: 'FATAL' },
+        reporter: new EventEmitter()
+      };
+      const warnings = [];
+      const errors = [];
+      options.reporter.on('warning', warning => warnings.push(warning));
+      options.reporter.on('error', error => errors.push(error));
+      reporter.registerReporter(options);
+      DrizzleError.error(new DrizzleError('Hm', DrizzleError.LEVELS.WARN),
+        options.debug);
+      DrizzleError.error(new Error('Oops'), options.debug);
+      logger.createLogger(options.debug).notice('Quiet');
+      expect(warnings).to.have.length(1);
+      expect(warnings[0].message).to.equal('Hm');
+      expect(errors).to.have.length(1);
+      expect(errors[0].message).to.equal('Oops');
+    });
+  });
+  describe ('builds', () => {
+    var events, drizzleData, build;
+    before (() => {
+      events = {};
+      const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+      opts.debug.throwThreshold = 'ERROR';
+      opts.unknownOption = true;
+      build = drizzle(opts);
+      ['stage:start', 'stage:end', 'file:parsed', 'resource:rendered',
+        'file:written', 'warning'].forEach(event => {
+          events[event] = [];
+          build.reporter.on(event, payload => events[event].push(payload));
+        });
+      return build.then(result => {
+        drizzleData = result;
+      });
+    });
+    it ('should return a reporter when none is given', () => {
+      expect(build.reporter).to.be.an.instanceof(EventEmitter);
+      expect(drizzleData.options.reporter).to.equal(build.reporter);
+    });
+    it ('should emit stage:start and stage:end for each stage', () => {
+      const stages = ['init', 'prepare', 'parse', 'render', 'write'];
+      expect(events['stage:start'].map(e => e.stage)).to.deep.equal(stages);
+      expect(events['stage:end'].map(e => e.stage)).to.deep.equal(stages);
+      events['stage:end'].forEach(e =>
+        expect(e.ms).to.be.a('number').and.at.least(0));
+    });
+    it ('should emit file:parsed for source files', () => {
+      const paths = events['file:parsed'].map(e => e.path);
+      expect(paths).to.include(drizzleData.pages.doThis.path);
+    });
+    it ('should emit resource:rendered for each resource', () => {
+      expect(events['resource:rendered']).to.have.length(
+        drizzleData.tree.pages.length + drizzleData.tree.collections.length);
+      const doThis = events['resource:rendered'].find(e =>
+        e.id === drizzleData.pages.doThis.id);
+      expect(doThis).to.have.keys('id', 'resourceType', 'path', 'bytes',
+        'failed');
+      expect(doThis.failed).to.be.false;
+    });
+    it ('should emit file:written for each output file', () => {
+      const written = events['file:written'];
+      expect(written).to.have.length(events['resource:rendered'].length);
+      expect(written.find(e => e.path === drizzleData.pages.doThis.outputPath))
+        .to.have.keys('path', 'bytes', 'source', 'action');
+    });
+    it ('should emit warnings', () => {
+      expect(events.warning.some(warning =>
+        /unknownOption/.test(warning.message))).to.be.true;
+      expect(events.warning[0].context.stage).to.equal('init');
+    });
+    it ('should use a given reporter and emit build errors', () => {
+      const emitter = new EventEmitter();
+      const errors = [];
+      emitter.on('error', error => errors.push(error));
+      const opts = config.copiedFixtureOpts(config.fixtures, destRoot);
+      opts.reporter = emitter;
+      opts.layouts = { page: 'no-such-layout' };
+      const failing = drizzle(opts);
+      expect(failing.reporter).to.equal(emitter);
+      return failing.then(() => {
+        throw new Error('Build should have failed');
+      }, error => {
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal(error);
+      });
+    });
+  });
+});
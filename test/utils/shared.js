@@ -58,6 +58,39 @@ describe ('utils/shared', () => {
       expect(pathBuilt).to.be.ok.and.to.equal('foo.html');
     });
   });
+  describe('resourceDest', () => {
+    const options = { dest: {
+      pages: 'dist/pages',
+      patterns: 'dist/patterns',
+      previews: 'dist/previews'
+    }};
+    it ('should write collections alongside patterns', () => {
+      expect(utils.resourceDest('collections', options))
+        .to.equal('dist/patterns');
+    });
+    it ('should keep pattern previews apart from collections', () => {
+      const collectionPath = utils.resourcePath('collections.components.alert',
+        utils.resourceDest('collections', options));
+      const previewPath = utils.resourcePath('patterns.components.alert',
+        utils.resourceDest('patterns', options));
+      expect(previewPath).to.equal('dist/previews/components/alert.html');
+      expect(previewPath).not.to.equal(collectionPath);
+    });
+  });
+  describe('outputResourceId', () => {
+    it ('should derive an ID from an output path', () => {
+      const id = utils.outputResourceId(
+        utils.resourcePath('pages.foo.bar', 'dist/pages'), 'dist/pages',
+        'pages');
+      expect(id).to.equal('pages.foo.bar');
+    });
+    it ('should ignore paths outside of dest and non-HTML files', () => {
+      expect(utils.outputResourceId('dist/other/foo.html', 'dist/pages',
+        'pages')).to.be.undefined;
+      expect(utils.outputResourceId('dist/pages/foo.css', 'dist/pages',
+        'pages')).to.be.undefined;
+    });
+  });
   describe('titleCase', () => {
     it ('should correctly title-case a string', () => {
       // @TODO move these into fixtures?
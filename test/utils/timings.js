@@ -0,0 +1,33 @@
+var chai = require('chai');
+var expect = chai.expect;
+var timings = require('../../dist/utils/timings');
+
+describe ('utils/timings', () => {
+  describe ('timed', () => {
+    it ('should record timings against the result\'s options', () => {
+      const options = {};
+      const stage = timings.timed('parse', input =>
+        Promise.resolve({ options: input }));
+      return stage(options).then(result => {
+        expect(result.options).to.equal(options);
+        expect(timings.stageTimings(options)).to.have.keys('parse');
+        expect(timings.stageTimings(options).parse).to.be.at.least(0);
+      });
+    });
+    it ('should record timings against returned options', () => {
+      const options = {};
+      return timings.timed('init', () => Promise.resolve(options))()
+        .then(() => {
+          expect(timings.stageTimings(options)).to.have.keys('init');
+        });
+    });
+  });
+  describe ('stageTimings', () => {
+    it ('should return a copy', () => {
+      const options = {};
+      timings.recordTiming(options, 'write', 5);
+      timings.stageTimings(options).write = 10;
+      expect(timings.stageTimings(options)).to.deep.equal({ write: 5 });
+    });
+  });
+});
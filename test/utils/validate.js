@@ -0,0 +1,85 @@
+var chai = require('chai');
+var expect = chai.expect;
+var utils = require('../../dist/utils/validate');
+var DrizzleError = require('../../dist/utils/error');
+var schema = require('../../dist/schema');
+var defaults = require('../../dist/defaults');
+
+describe ('utils/validate', () => {
+  describe ('editDistance', () => {
+    it ('should count single-character edits', () => {
+      expect(utils.editDistance('pattern', 'patterns')).to.equal(1);
+      expect(utils.editDistance('colection', 'collection')).to.equal(1);
+      expect(utils.editDistance('kitten', 'sitting')).to.equal(3);
+      expect(utils.editDistance('same', 'same')).to.equal(0);
+    });
+  });
+  describe ('closestKey', () => {
+    it ('should find the closest candidate', () => {
+      expect(utils.closestKey('pattern', ['data', 'pages', 'patterns']))
+        .to.equal('patterns');
+    });
+  });
+  describe ('validateOptions', () => {
+    it ('should accept default options', () => {
+      expect(utils.validateOptions(defaults, schema)).to.be.empty;
+    });
+    it ('should name unknown keys and suggest the closest valid key', () => {
+      const problems = utils.validateOptions({
+        src: { pattern: { glob: '*.html' } }
+      }, schema);
+      expect(problems).to.have.length(1);
+      expect(problems[0]).to.be.instanceof(DrizzleError);
+      expect(problems[0].level).to.equal(DrizzleError.LEVELS.WARN);
+      expect(problems[0].message).to.contain('src.pattern');
+      expect(problems[0].message).to.contain('src.patterns');
+    });
+    it ('should flag values of the wrong type as errors', () => {
+      const problems = utils.validateOptions({
+        helpers: 42,
+        dest: { root: ['dist'] }
+      }, schema);
+      expect(problems).to.have.length(2);
+      problems.forEach(problem => {
+        expect(problem.level).to.equal(DrizzleError.LEVELS.ERROR);
+      });
+      expect(problems[0].message).to.contain('helpers');
+      expect(problems[1].message).to.contain('dest.root');
+    });
+    it ('should accept helpers as an object or a glob', () => {
+      expect(utils.validateOptions({ helpers: {} }, schema)).to.be.empty;
+      expect(utils.validateOptions({ helpers: ['a/*.js', 'b/*.js'] }, schema))
+        .to.be.empty;
+    });
+    it ('should allow additional properties on parsers', () => {
+      expect(utils.validateOptions({ parsers: {
+        foo: { pattern: /foo/, randomProperty: 'yep' }
+      }}, schema)).to.be.empty;
+    });
+    it ('should validate each plugin', () => {
+      const problems = utils.validateOptions({ plugins: [
+        { name: 'fine', afterParse: () => {}, somethingElse: true },
+        { name: 'broken', afterBuild: 'not a function' }
+      ]}, schema);
+      expect(problems).to.have.length(1);
+      expect(problems[0].level).to.equal(DrizzleError.LEVELS.ERROR);
+      expect(problems[0].message).to.contain('plugins.1.afterBuild');
+    });
+    it ('should only check directories that were set explicitly', () => {
+      const options = {
+        src: { pages: { basedir: '/not/a/real/dir', glob: '*' } }
+      };
+      expect(utils.validateOptions(options, schema)).to.be.empty;
+      const problems = utils.validateOptions(options, schema, options);
+      expect(problems).to.have.length(1);
+      expect(problems[0].message).to.contain('/not/a/real/dir');
+    });
+    it ('should order problems by severity', () => {
+      const problems = utils.validateOptions({
+        layout: {},
+        helpers: 42
+      }, schema);
+      expect(problems[0].level).to.be.above(problems[1].level);
+    });
+  });
+});
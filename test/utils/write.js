@@ -21,6 +21,31 @@ describe ('utils/write', () => {
       });
     });
   });
+  describe ('write/write unchanged files', () => {
+    var filepath = outPath + '/same.txt';
+    it ('should report creating, updating and unchanged files', () => {
+      return utils.write(filepath, 'One').then(action => {
+        expect(action).to.equal('create');
+        return utils.write(filepath, 'Two');
+      }).then(action => {
+        expect(action).to.equal('update');
+        return utils.write(filepath, 'Two');
+      }).then(action => {
+        expect(action).to.equal('unchanged');
+      });
+    });
+    it ('should not rewrite files with the same contents', () => {
+      const fs = require('fs');
+      const past = new Date(2000, 0, 1);
+      return utils.write(filepath, 'Same').then(() => {
+        fs.utimesSync(filepath, past, past);
+        return utils.write(filepath, 'Same');
+      }).then(() => {
+        expect(fs.statSync(filepath).mtime.getTime())
+          .to.equal(past.getTime());
+      });
+    });
+  });
   describe ('write/writePage', () => {
     it ('should generate an outputPath', () => {
       var pageObj = {
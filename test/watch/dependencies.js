@@ -0,0 +1,75 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('../config');
+var prepare = require('../../dist/prepare/');
+var parse = require('../../dist/parse/');
+var deps = require('../../dist/watch/dependencies');
+
+describe ('watch/dependencies', () => {
+  describe ('templateReferences', () => {
+    it ('should find partial invocations', () => {
+      var refs = deps.templateReferences(
+        '{{> menu}} {{#> partials.nested.thing }}{{/partials.nested.thing}}'
+      );
+      expect(refs).to.have.members(['menu', 'partials.nested.thing']);
+    });
+    it ('should find layouts and literal pattern IDs', () => {
+      var refs = deps.templateReferences(`{{#extend "default"}}
+        {{#embed 'partials.header'}}{{/embed}}
+        {{pattern 'patterns.components.button.base' @root}}
+        {{#patternSource "patterns.pink" @root}}{{/patternSource}}
+      {{/extend}}`);
+      expect(refs).to.have.members([
+        'default',
+        'partials.header',
+        'patterns.components.button.base',
+        'patterns.pink'
+      ]);
+    });
+    it ('should not follow non-literal helper arguments', () => {
+      expect(deps.templateReferences('{{#pattern id @root}}{{/pattern}}'))
+        .to.be.empty;
+    });
+    it ('should only list each reference once', () => {
+      expect(deps.templateReferences('{{> menu}}{{> menu}}'))
+        .to.deep.equal(['menu']);
+    });
+  });
+  describe ('dependency graph', () => {
+    var drizzleData;
+    before (() => {
+      return config.init(config.fixtureOpts).then(prepare).then(parse)
+        .then(dData => {
+          drizzleData = dData;
+        });
+    });
+    it ('should key templates by partial key', () => {
+      var graph = deps.partialGraph(drizzleData);
+      expect(graph).to.contain.keys('default', 'collection', 'partials.menu');
+      expect(graph.collection).to.contain('default');
+    });
+    it ('should include patterns by ID', () => {
+      var graph = deps.partialGraph(drizzleData);
+      expect(graph).to.contain.key('patterns.components.button.base');
+    });
+    it ('should use the default layout for pages without one', () => {
+      var refs = deps.pageReferences(drizzleData.pages['04-sandbox'],
+        drizzleData.options);
+      expect(refs[0]).to.equal('default');
+    });
+    it ('should use the layout from page data', () => {
+      var refs = deps.pageReferences(drizzleData.pages.components,
+        drizzleData.options);
+      expect(refs).to.deep.equal(['page']);
+    });
+    it ('should find transitive dependencies of collections', () => {
+      var graph = deps.partialGraph(drizzleData);
+      var collection = drizzleData.patterns.components.button.collection;
+      var refs = deps.collectionReferences(collection, drizzleData.options);
+      expect(deps.dependsOn(refs, 'default', graph)).to.be.true;
+      expect(deps.dependsOn(refs, 'patterns.components.button.base', graph))
+        .to.be.true;
+      expect(deps.dependsOn(refs, 'patterns.pink', graph)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,198 @@
+var chai = require('chai');
+var expect = chai.expect;
+var path = require('path');
+var fs = require('fs');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var testUtils = require('../test-utils');
+var watch = require('../../dist/watch/');
+var renderUtils = require('../../dist/utils/render');
+
+const srcRoot = './test/dist/watch-src';
+const destRoot = './test/dist/watch';
+
+function srcPath (file) {
+  return path.resolve(srcRoot, file);
+}
+
+/**
+ * Resolve with the next `rebuild` event for `filepath`.
+ */
+function nextRebuild (watcher, filepath) {
+  return new Promise((resolve, reject) => {
+    const onRebuild = result => {
+      if (result.path === filepath) {
+        watcher.removeListener('rebuild', onRebuild);
+        resolve(result);
+      }
+    };
+    watcher.on('rebuild', onRebuild);
+    watcher.once('error', reject);
+  });
+}
+
+describe ('watch', () => {
+  var watcher, drizzleData;
+  before (() => {
+    return rimraf(srcRoot)
+      .then(() => rimraf(destRoot))
+      .then(() => testUtils.copyFixtures(srcRoot))
+      .then(() => new Promise((resolve, reject) => {
+        watcher = watch(config.copiedFixtureOpts(srcRoot, destRoot));
+        watcher.on('build', dData => drizzleData = dData);
+        watcher.once('ready', resolve);
+        watcher.once('error', reject);
+      }));
+  });
+  after (() => watcher.close());
+
+  it ('should build before watching', () => {
+    expect(drizzleData.pages).to.be.an('object');
+    return testUtils.isFile(drizzleData.pages['04-sandbox'].outputPath)
+      .then(result => expect(result).to.be.true);
+  });
+  it ('should only rebuild a changed page', () => {
+    const file = srcPath('pages/04-sandbox.html');
+    const rebuilt = nextRebuild(watcher, file);
+    fs.appendFileSync(file, '\n<p>Added while watching</p>\n');
+    return rebuilt.then(result => {
+      expect(result.type).to.equal('pages');
+      expect(result.resources).to.deep.equal(['pages.04-sandbox']);
+      return testUtils.fileContents(drizzleData.pages['04-sandbox'].outputPath);
+    }).then(contents => {
+      expect(contents).to.contain('<p>Added while watching</p>');
+      expect(contents).to.contain('<h1>Sandbox</h1>');
+    });
+  });
+  it ('should rebuild only the dependents of a changed layout', () => {
+    const file = srcPath('templates/page.html');
+    const rebuilt = nextRebuild(watcher, file);
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8')
+      .replace('This is the Page Layout', 'This is the New Page Layout'));
+    return rebuilt.then(result => {
+      expect(result.type).to.equal('templates');
+      expect(result.resources).to.contain('pages.components');
+      expect(result.resources).not.to.contain('pages.04-sandbox');
+      expect(result.resources).not.to.contain('collections.components.button');
+      return testUtils.fileContents(drizzleData.pages.components.outputPath);
+    }).then(contents => {
+      expect(contents).to.contain('This is the New Page Layout');
+    });
+  });
+  it ('should rebuild the collection of a changed pattern', () => {
+    const file = srcPath('patterns/components/button/base.html');
+    const rebuilt = nextRebuild(watcher, file);
+    fs.appendFileSync(file, '\n<p>Base button, revised</p>\n');
+    return rebuilt.then(result => {
+      expect(result.type).to.equal('patterns');
+      expect(result.resources).to.deep.equal([
+        'collections.components.button'
+      ]);
+      const collection = drizzleData.patterns.components.button.collection;
+      return testUtils.fileContents(collection.outputPath);
+    }).then(contents => {
+      expect(contents).to.contain('Base button, revised');
+    });
+  });
+  it ('should only re-parse the changed pattern\'s collection', () => {
+    const file = srcPath('patterns/fingers/pamp.html');
+    const button = drizzleData.patterns.components.button.collection;
+    const rebuilt = nextRebuild(watcher, file);
+    fs.appendFileSync(file, '\n<p>Pamp, revised</p>\n');
+    return rebuilt.then(result => {
+      expect(result.resources).to.contain('collections.fingers');
+      expect(drizzleData.patterns.fingers.collection.items.pamp.contents)
+        .to.contain('Pamp, revised');
+      expect(drizzleData.patterns.components.button.collection)
+        .to.equal(button);
+    });
+  });
+  it ('should rebuild everything when data changes', () => {
+    const file = srcPath('data/people.yaml');
+    const rebuilt = nextRebuild(watcher, file);
+    const before = renderUtils.templateCacheStats(drizzleData.options);
+    fs.appendFileSync(file, '\n');
+    return rebuilt.then(result => {
+      // Compiled templates are reused across rebuilds
+      const after = renderUtils.templateCacheStats(drizzleData.options);
+      expect(after.hits).to.be.above(before.hits);
+      expect(result.type).to.equal('data');
+      expect(result.resources).to.contain('pages.04-sandbox');
+      expect(result.resources).to.contain('collections.components.button');
+    });
+  });
+  it ('should remove the output of a deleted page', () => {
+    const file = srcPath('pages/subfolder/subpage.md');
+    const outputPath = drizzleData.pages.subfolder.subpage.outputPath;
+    const rebuilt = nextRebuild(watcher, file);
+    fs.unlinkSync(file);
+    return rebuilt.then(result => {
+      expect(result.event).to.equal('unlink');
+      expect(drizzleData.pages.subfolder).not.to.have.property('subpage');
+      return testUtils.isFile(outputPath);
+    }).then(result => expect(result).to.be.false);
+  });
+  it ('should remove the output of a deleted collection', () => {
+    const file = srcPath('patterns/components/alert/base.hbs');
+    const outputPath = drizzleData.patterns.components.alert.collection
+      .outputPath;
+    const rebuilt = nextRebuild(watcher, file);
+    fs.unlinkSync(file);
+    return rebuilt.then(result => {
+      expect(result.resources).not.to.contain('collections.components.alert');
+      expect(drizzleData.patterns.components).not.to.have.property('alert');
+      expect(drizzleData.tree.collections.map(collection => collection.id))
+        .not.to.contain('collections.components.alert');
+      return testUtils.isFile(outputPath);
+    }).then(result => expect(result).to.be.false);
+  });
+  it ('should keep rebuilding after a rebuild listener fails', () => {
+    const failing = srcPath('pages/04-sandbox.html');
+    const file = srcPath('pages/nerkle.html');
+    const failed = new Promise(resolve => watcher.once('error', resolve));
+    watcher.once('rebuild', () => {
+      throw new Error('Listener failed');
+    });
+    fs.appendFileSync(failing, '\n');
+    return failed.then(error => {
+      expect(error.message).to.equal('Listener failed');
+      const rebuilt = nextRebuild(watcher, file);
+      fs.appendFileSync(file, '\n');
+      return rebuilt;
+    }).then(result => {
+      expect(result.resources).to.deep.equal(['pages.nerkle']);
+    });
+  });
+});
+
+describe ('watch (without an error listener)', () => {
+  const logSrcRoot = './test/dist/watch-log-src';
+  const logDestRoot = './test/dist/watch-log';
+  var watcher, logged;
+  before (() => {
+    logged = [];
+    return rimraf(logSrcRoot)
+      .then(() => rimraf(logDestRoot))
+      .then(() => testUtils.copyFixtures(logSrcRoot))
+      .then(() => new Promise(resolve => {
+        const opts = config.copiedFixtureOpts(logSrcRoot, logDestRoot);
+        opts.debug.logFn = msg => logged.push(msg);
+        watcher = watch(opts);
+        watcher.once('ready', resolve);
+      }));
+  });
+  after (() => watcher.close());
+
+  it ('should log errors with the build\'s logger', () => {
+    const file = path.resolve(logSrcRoot, 'pages/nerkle.html');
+    const rebuilt = new Promise(resolve => watcher.once('rebuild', () => {
+      setImmediate(resolve);
+      throw new Error('Listener failed');
+    }));
+    fs.appendFileSync(file, '\n');
+    return rebuilt.then(() => {
+      expect(logged).to.contain('[ERROR] Listener failed\n    in watch');
+    });
+  });
+});
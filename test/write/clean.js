@@ -0,0 +1,48 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var mkdirp = Promise.promisify(require('mkdirp'));
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var drizzle = require('../../dist/');
+var DrizzleError = require('../../dist/utils/error');
+
+const destRoot = './test/dist/clean';
+
+function cleanOpts (root) {
+  return Object.assign({}, config.fixtureOpts, {
+    clean: true,
+    dest: {
+      root: root,
+      collections: `${root}/patterns`,
+      pages: root,
+      patterns: `${root}/patterns`
+    }
+  });
+}
+
+describe ('write/clean', () => {
+  const stale = path.join(destRoot, 'old/renamed.html');
+  before (() => {
+    return rimraf(destRoot)
+      .then(() => mkdirp(path.dirname(stale)))
+      .then(() => fs.writeFileSync(stale, 'Stale'));
+  });
+  it ('should remove files the build did not write', () => {
+    return drizzle(cleanOpts(destRoot)).then(drizzleData => {
+      expect(fs.existsSync(stale)).to.be.false;
+      expect(fs.existsSync(path.dirname(stale))).to.be.false;
+      expect(fs.existsSync(drizzleData.pages.index.outputPath)).to.be.true;
+    });
+  });
+  it ('should refuse to clean the working directory', () => {
+    return drizzle(cleanOpts('.')).then(() => {
+      throw new Error('Expected an error');
+    }, error => {
+      expect(error).to.be.an.instanceof(DrizzleError);
+      expect(error.message).to.contain('Refusing to clean');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var mkdirp = Promise.promisify(require('mkdirp'));
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var drizzle = require('../../dist/');
+
+const destRoot = './test/dist/dryRun';
+
+describe ('write (dryRun)', () => {
+  const stale = path.join(destRoot, 'old/renamed.html');
+  const existing = path.join(destRoot, 'index.html');
+  before (() => {
+    return rimraf(destRoot)
+      .then(() => mkdirp(path.dirname(stale)))
+      .then(() => {
+        fs.writeFileSync(stale, 'Stale');
+        fs.writeFileSync(existing, 'Old contents');
+      });
+  });
+  it ('should not write any files', () => {
+    const opts = config.fixtureBuildOpts(destRoot, { dryRun: true });
+    return drizzle(opts).then(drizzleData => {
+      expect(fs.readFileSync(existing, 'utf-8')).to.equal('Old contents');
+      expect(fs.existsSync(drizzleData.pages.doThis.outputPath)).to.be.false;
+      expect(fs.existsSync(path.join(destRoot, 'patterns'))).to.be.false;
+    });
+  });
+  it ('should resolve with planned operations', () => {
+    const opts = config.fixtureBuildOpts(destRoot, { dryRun: true });
+    return drizzle(opts).then(drizzleData => {
+      const ops = drizzleData.operations;
+      const doThis = ops.find(op =>
+        op.path === drizzleData.pages.doThis.outputPath);
+      expect(ops).to.have.length(drizzleData.tree.pages.length +
+        drizzleData.tree.collections.length);
+      expect(doThis).to.have.keys('path', 'bytes', 'source', 'action');
+      expect(doThis.action).to.equal('create');
+      expect(doThis.source).to.equal(drizzleData.pages.doThis.path);
+      expect(doThis.bytes).to.equal(
+        Buffer.byteLength(drizzleData.pages.doThis.contents));
+      expect(ops.find(op => op.path === existing).action).to.equal('update');
+    });
+  });
+  it ('should give collections their directory as source', () => {
+    const opts = config.fixtureBuildOpts(destRoot, { dryRun: true });
+    return drizzle(opts).then(drizzleData => {
+      const collection = drizzleData.patterns.components.button.collection;
+      const op = drizzleData.operations.find(op =>
+        op.path === collection.outputPath);
+      expect(op.source).to.equal(path.dirname(collection.items.base.path));
+    });
+  });
+  it ('should report stale files without removing them', () => {
+    return drizzle(config.fixtureBuildOpts(destRoot, {
+      dryRun: true,
+      clean: true
+    })).then(drizzleData => {
+      const op = drizzleData.operations.find(op =>
+        op.path === path.resolve(stale));
+      expect(op.action).to.equal('delete');
+      expect(fs.existsSync(stale)).to.be.true;
+    });
+  });
+});
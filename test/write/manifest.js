@@ -0,0 +1,92 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var drizzle = require('../../dist/');
+
+const destRoot = './test/dist/manifest';
+const manifestFile = path.join(destRoot, 'drizzle-manifest.json');
+
+describe ('write/manifest', () => {
+  var drizzleData, manifest;
+  before (() => {
+    return rimraf(destRoot)
+      .then(() => drizzle(config.fixtureBuildOpts(destRoot, {
+        manifest: true
+      })))
+      .then(result => {
+        drizzleData = result;
+        manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+      });
+  });
+  it ('should write the manifest to dest.root', () => {
+    expect(manifest).to.have.keys('date', 'resources', 'timings', 'warnings',
+      'errors');
+    expect(drizzleData.manifest).to.deep.equal(manifest);
+  });
+  it ('should list every written resource', () => {
+    expect(manifest.resources).to.have.length(
+      drizzleData.tree.pages.length + drizzleData.tree.collections.length);
+    const page = drizzleData.pages.doThis;
+    const entry = manifest.resources.find(res => res.id === page.id);
+    expect(entry).to.have.keys('id', 'resourceType', 'path', 'outputPath',
+      'hash', 'bytes', 'layout', 'dataKeys');
+    expect(entry.resourceType).to.equal('page');
+    expect(entry.path).to.equal(page.path);
+    expect(entry.outputPath).to.equal(page.outputPath);
+    expect(entry.bytes).to.equal(Buffer.byteLength(
+      fs.readFileSync(page.outputPath)));
+    expect(entry.hash).to.match(/^[0-9a-f]{40}$/);
+    expect(entry.layout).to.equal(page.data.layout || 'default');
+    expect(entry.dataKeys).to.deep.equal(Object.keys(page.data));
+  });
+  it ('should give collections the collection layout', () => {
+    const collection = drizzleData.patterns.components.button.collection;
+    const entry = manifest.resources.find(res => res.id === collection.id);
+    expect(entry.resourceType).to.equal('collection');
+    expect(entry.layout).to.equal('collection');
+    expect(entry.outputPath).to.equal(collection.outputPath);
+    expect(entry.path).to.equal(
+      path.dirname(collection.items.base.path));
+  });
+  it ('should record stage timings and log counts', () => {
+    expect(manifest.timings).to.have.keys('init', 'prepare', 'parse',
+      'render', 'write');
+    Object.keys(manifest.timings).forEach(stage =>
+      expect(manifest.timings[stage]).to.be.a('number').and.at.least(0));
+    expect(manifest.warnings).to.be.a('number');
+    expect(manifest.errors).to.equal(0);
+  });
+  it ('should not be removed by clean', () => {
+    const opts = config.fixtureBuildOpts(destRoot, {
+      manifest: true,
+      clean: true
+    });
+    return drizzle(opts).then(() => {
+      expect(fs.existsSync(manifestFile)).to.be.true;
+    });
+  });
+  it ('should only be planned in a dry run', () => {
+    return rimraf(destRoot)
+      .then(() => drizzle(config.fixtureBuildOpts(destRoot, {
+        manifest: true,
+        dryRun: true
+      })))
+      .then(result => {
+        expect(fs.existsSync(manifestFile)).to.be.false;
+        const op = result.operations.find(op => op.path === manifestFile);
+        expect(op.action).to.equal('create');
+      });
+  });
+  it ('should not be written unless `manifest` is set', () => {
+    return rimraf(destRoot)
+      .then(() => drizzle(config.fixtureBuildOpts(destRoot)))
+      .then(result => {
+        expect(fs.existsSync(manifestFile)).to.be.false;
+        expect(result.manifest).to.be.undefined;
+      });
+  });
+});
@@ -0,0 +1,34 @@
+var chai = require('chai');
+var expect = chai.expect;
+var config = require('../config');
+var prepare = require('../../dist/prepare/');
+var parse = require('../../dist/parse/');
+var render = require('../../dist/render/');
+var writePatterns = require('../../dist/write/patterns');
+var testUtils = require('../test-utils');
+
+describe ('write/patterns', () => {
+  var drizzleData;
+  before (() => {
+    const opts = Object.assign({}, config.fixtureOpts, {
+      layouts: { pattern: 'pattern' }
+    });
+    return config.init(opts)
+      .then(prepare).then(parse).then(render)
+      .then(writePatterns).then(data => {
+        drizzleData = data;
+      });
+  });
+  it ('should write a preview page for each pattern', () => {
+    const outPaths = drizzleData.tree.patterns.map(
+      pattern => pattern.outputPath);
+    return testUtils.areFiles(outPaths).then(result => {
+      expect(result).to.be.true;
+    });
+  });
+  it ('should write pattern pages under dest.previews', () => {
+    const pattern = drizzleData.patterns.fingers.collection.items.ideal;
+    expect(pattern.outputPath)
+      .to.equal('test/dist/previews/fingers/ideal.html');
+  });
+});
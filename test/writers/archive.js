@@ -0,0 +1,76 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+var Promise = require('bluebird');
+var rimraf = Promise.promisify(require('rimraf'));
+var config = require('../config');
+var drizzle = require('../../dist/');
+var archiveWriter = require('../../dist/writers/archive');
+
+const destRoot = './test/dist/archive/library';
+
+/**
+ * Read the entries of a tar archive.
+ * @param {Buffer} archive
+ * @return {Object} keyed by entry name, values are contents
+ */
+function readTar (archive) {
+  const entries = {};
+  let offset = 0;
+  while (offset < archive.length && archive[offset] !== 0) {
+    const field = (start, length) => archive.toString('utf-8',
+      offset + start, offset + start + length).replace(/\0.*$/, '');
+    const prefix = field(345, 155);
+    const name = (prefix ? prefix + '/' : '') + field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+    entries[name] = archive.toString('utf-8', offset + 512,
+      offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+describe ('writers/archive', () => {
+  before (() => rimraf('./test/dist/archive'));
+  it ('should write output into a tar archive next to dest.root', () => {
+    const opts = config.fixtureBuildOpts(destRoot, {
+      writer: archiveWriter()
+    });
+    return drizzle(opts).then(drizzleData => {
+      const archivePath = path.normalize(`${destRoot}.tar`);
+      const entries = readTar(fs.readFileSync(archivePath));
+      expect(drizzleData.written.path).to.equal(archivePath);
+      expect(entries['doThis.html'])
+        .to.equal(drizzleData.pages.doThis.contents);
+      expect(entries).to.contain.keys('follow-me/down/apage.html',
+        'patterns/components/button.html');
+      expect(Object.keys(entries)).to.deep.equal(drizzleData.written.files);
+      expect(fs.existsSync(destRoot)).to.be.false;
+    });
+  });
+  it ('should gzip archives named .tar.gz', () => {
+    const archivePath = './test/dist/archive/library.tar.gz';
+    return drizzle(config.fixtureBuildOpts(destRoot, {
+      writer: archiveWriter({ path: archivePath })
+    })).then(drizzleData => {
+      const entries = readTar(zlib.gunzipSync(fs.readFileSync(archivePath)));
+      expect(entries['doThis.html']).to.equal(
+        drizzleData.pages.doThis.contents);
+    });
+  });
+  it ('should refuse to archive files outside of dest.root', () => {
+    const archivePath = './test/dist/archive/outside.tar';
+    const opts = config.fixtureBuildOpts(destRoot, {
+      writer: archiveWriter({ path: archivePath })
+    });
+    opts.dest.pages = './test/dist/archive/elsewhere';
+    return drizzle(opts).then(() => {
+      throw new Error('Expected an error');
+    }, error => {
+      expect(error.message).to.contain('not inside');
+      expect(fs.existsSync(archivePath)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,55 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var path = require('path');
+var config = require('../config');
+var drizzle = require('../../dist/');
+var memoryWriter = require('../../dist/writers/memory');
+
+const destRoot = './test/dist/memory';
+
+describe ('writers/memory', () => {
+  it ('should keep output in memory instead of on disk', () => {
+    const writer = memoryWriter();
+    const opts = config.fixtureBuildOpts(destRoot, { writer: writer });
+    return drizzle(opts).then(drizzleData => {
+      const doThis = drizzleData.pages.doThis;
+      expect(writer.files.get(path.normalize(doThis.outputPath)))
+        .to.equal(doThis.contents);
+      expect(fs.existsSync(destRoot)).to.be.false;
+    });
+  });
+  it ('should expose what was written on drizzleData', () => {
+    const writer = memoryWriter();
+    const opts = config.fixtureBuildOpts(destRoot, { writer: writer });
+    return drizzle(opts).then(drizzleData => {
+      expect(drizzleData.written.files).to.equal(writer.files);
+      expect(writer.files.size).to.equal(drizzleData.tree.pages.length +
+        drizzleData.tree.collections.length);
+    });
+  });
+  it ('should report unchanged output on rebuild', () => {
+    const writer = memoryWriter();
+    return drizzle(config.fixtureBuildOpts(destRoot, { writer: writer }))
+      .then(() => drizzle(config.fixtureBuildOpts(destRoot, {
+        writer: writer,
+        dryRun: true
+      })))
+      .then(drizzleData => {
+        expect(drizzleData.operations.every(op => op.action === 'unchanged'))
+          .to.be.true;
+      });
+  });
+  it ('should clean stale entries', () => {
+    const writer = memoryWriter();
+    const stale = path.join(destRoot, 'old.html');
+    return writer.write(stale, 'Stale')
+      .then(() => drizzle(config.fixtureBuildOpts(destRoot, {
+        writer: writer,
+        clean: true
+      })))
+      .then(() => {
+        expect(writer.files.has(stale)).to.be.false;
+      });
+  });
+});